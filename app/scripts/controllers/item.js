@@ -51,6 +51,20 @@ app.controller('ItemCtrl', [
       }
     }
 
+    // Get the transcript of the SMTP session which delivered the email
+    const getTranscript = function () {
+      $http({
+        method: 'GET',
+        url: 'transcripts/' + $scope.item.envelope.session
+      })
+        .success(function (data) {
+          $scope.transcript = data
+        })
+        .error(function () {
+          $scope.transcript = null
+        })
+    }
+
     // Prepares the iframe for interaction
     const prepIframe = function () {
       // Wait for iframe to load
@@ -131,14 +145,25 @@ app.controller('ItemCtrl', [
 
     // Toggle what format is viewable
     $scope.show = function (type) {
-      if ((type === 'html' || type === 'attachments') && !$scope.item[type]) {
+      if ((type === 'html' || type === 'attachments' || type === 'envelope') && !$scope.item[type]) {
         return
       }
       if (type === 'source') getSource()
+      if (type === 'transcript') {
+        if (!$scope.item.envelope || !$scope.item.envelope.session) return
+        getTranscript()
+      }
 
       $scope.panelVisibility = type
     }
 
+    // Formats ESMTP parameters of MAIL FROM or RCPT TO, ex. BODY=8BITMIME SMTPUTF8
+    $scope.formatArgs = function (args) {
+      return Object.keys(args || {}).map(function (key) {
+        return args[key] === true ? key : key + '=' + args[key]
+      }).join(' ')
+    }
+
     // Sends a DELETE request to the server
     $scope.delete = function (item) {
       Email.delete({ id: item.id })
@@ -5,6 +5,13 @@
  */
 let refreshTimeout = null
 let notificationTimeout = null
+let searchTimeout = null
+
+// Emails loaded at once, the next ones as the list is scrolled
+const PAGE_SIZE = 50
+
+// Milliseconds without typing before the search runs
+const SEARCH_DELAY = 300
 
 app.controller('MainCtrl', [
   '$scope', '$rootScope', '$http', 'Email', '$route', '$location', 'Favicon',
@@ -13,6 +20,8 @@ app.controller('MainCtrl', [
 
     $scope.itemsLoading = true
     $scope.items = []
+    $scope.hasMoreItems = false
+    $scope.search = ''
     $scope.currentItemId = null
     $scope.unreadItems = 0
     $scope.navMoreOpen = false
@@ -43,24 +52,86 @@ app.controller('MainCtrl', [
     }
     $scope.settings = loadSettings(defaultSettings)
 
-    const countUnread = function () {
-      $scope.unreadItems = $scope.items.filter(function (email) {
+    // Unread emails in the pages not loaded yet
+    let unloadedUnread = 0
+    let nextCursor = null
+    let pageLoading = false
+    let pageRequest = 0
+
+    const countLoadedUnread = function () {
+      return $scope.items.filter(function (email) {
         return !email.read
       }).length
+    }
+
+    const countUnread = function () {
+      $scope.unreadItems = countLoadedUnread() + unloadedUnread
       Favicon.setUnreadCount($scope.unreadItems)
     }
 
-    // Load all emails
-    const loadData = function () {
-      $scope.itemsLoading = true
-      $scope.items = Email.query(function () {
+    const loadUnreadCount = function () {
+      $http({ method: 'GET', url: 'email', params: { read: false, limit: 1 } })
+        .success(function (data, status, headers) {
+          unloadedUnread = Math.max(0, Number(headers('X-Total-Count')) - countLoadedUnread())
+          countUnread()
+        })
+    }
+
+    // Load the next page of emails, the newest first, matching the search
+    const loadPage = function () {
+      const params = { limit: PAGE_SIZE, sort: 'time', order: 'desc' }
+      if (nextCursor) params.cursor = nextCursor
+      if ($scope.search) params.q = $scope.search
+      const request = ++pageRequest
+      pageLoading = true
+      Email.query(params, function (emails, headers) {
+        // The search changed meanwhile
+        if (request !== pageRequest) return
+        // Emails received meanwhile are in the list already
+        emails.forEach(function (email) {
+          const loaded = $scope.items.some(function (item) {
+            return item.id === email.id
+          })
+          if (!loaded) $scope.items.push(email)
+        })
+        nextCursor = headers('X-Next-Cursor')
+        $scope.hasMoreItems = !!nextCursor
         $scope.itemsLoading = false
-      })
-      $scope.items.$promise.then(function () {
-        countUnread()
+        pageLoading = false
+        loadUnreadCount()
+      }, function () {
+        if (request !== pageRequest) return
+        $scope.itemsLoading = false
+        pageLoading = false
       })
     }
 
+    const loadData = function () {
+      $scope.itemsLoading = true
+      $scope.items = []
+      nextCursor = null
+      loadPage()
+    }
+
+    $scope.loadMore = function () {
+      if (nextCursor && !pageLoading) loadPage()
+    }
+
+    $scope.searchChanged = function () {
+      clearTimeout(searchTimeout)
+      searchTimeout = setTimeout(function () {
+        $scope.$apply(loadData)
+      }, SEARCH_DELAY)
+    }
+
+    // Load the next page when the list is scrolled to its end
+    angular.element(document.querySelector('.sidebar-scrollable-content')).on('scroll', function (e) {
+      const list = e.target
+      if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) {
+        $scope.$apply($scope.loadMore)
+      }
+    })
+
     $rootScope.$on('Refresh', function (e, d) {
       loadData()
     })
@@ -72,8 +143,12 @@ app.controller('MainCtrl', [
     })
 
     $rootScope.$on('newMail', function (e, newEmail) {
-      // update model
-      $scope.items.push(newEmail)
+      // update model, the results of a search are left as they are
+      if ($scope.search) {
+        unloadedUnread++
+      } else {
+        $scope.items.push(newEmail)
+      }
       countUnread()
 
       // update DOM at most 5 times per second
@@ -105,16 +180,28 @@ app.controller('MainCtrl', [
         $rootScope.$emit('Refresh')
         $location.path('/')
       } else {
-        const idx = $scope.items.reduce(function (p, c, i) {
-          if (p !== 0) return p
-          return c.id === email.id ? i : 0
-        }, 0)
-
-        const nextIdx = $scope.items.length === 1 ? null : idx === 0 ? idx + 1 : idx - 1
-        if (nextIdx !== null) {
-          $location.path('/email/' + $scope.items[nextIdx].id)
-        } else {
-          $location.path('/')
+        const idx = $scope.items.findIndex(function (item) {
+          return item.id === email.id
+        })
+        // An email of the pages not loaded yet, the oldest ones
+        if (idx === -1) {
+          if (!email.read && unloadedUnread > 0) {
+            unloadedUnread--
+            countUnread()
+            $scope.$apply()
+          }
+          return
+        }
+
+        // Emails deleted in the background, ex. by the retention policy, do
+        // not move away from the email being read
+        if (email.id === $scope.currentItemId) {
+          const nextIdx = $scope.items.length === 1 ? null : idx === 0 ? idx + 1 : idx - 1
+          if (nextIdx !== null) {
+            $location.path('/email/' + $scope.items[nextIdx].id)
+          } else {
+            $location.path('/')
+          }
         }
 
         $scope.items.splice(idx, 1)
@@ -157,6 +244,7 @@ app.controller('MainCtrl', [
           for (const email of $scope.items) {
             email.read = true
           }
+          unloadedUnread = 0
           countUnread()
         })
         .error(function (data) {
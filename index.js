@@ -37,7 +37,39 @@ module.exports = function (config) {
     config.mailDirectory,
     config.incomingUser,
     config.incomingPass,
-    config.hideExtensions
+    config.hideExtensions,
+    {
+      tls: {
+        starttls: config.smtpStarttls,
+        secure: config.smtpSecure,
+        key: config.smtpTlsKey,
+        cert: config.smtpTlsCert,
+        ca: config.smtpTlsCa,
+        clientCert: config.smtpClientCert
+      },
+      listeners: config.smtpListeners,
+      lmtp: config.lmtp,
+      faultRules: config.faultRules,
+      maxMessageSize: config.maxMessageSize,
+      usersFile: config.incomingUsersFile,
+      oauthTokens: config.incomingOauthTokens,
+      oauthPublicKey: config.incomingOauthPublicKey,
+      maxConnections: config.smtpMaxConnections,
+      rateLimit: config.smtpRateLimit,
+      allow: config.smtpAllow,
+      deny: config.smtpDeny,
+      acceptDomains: config.acceptDomains,
+      proxyProtocol: config.smtpProxyProtocol,
+      trustedProxies: config.smtpTrustedProxies,
+      storage: config.storage,
+      storageFile: config.storageFile,
+      mailLayout: config.mailLayout,
+      maxEmails: config.maxEmails,
+      maxAge: config.maxAge,
+      maxStorage: config.maxStorage,
+      keepStarred: config.keepStarred,
+      watchDirectory: config.watchDirectory
+    }
   )
 
   if (
@@ -83,7 +115,8 @@ module.exports = function (config) {
       config.webUser,
       config.webPass,
       config.basePathname,
-      secure
+      secure,
+      config.webTrustedProxies
     )
 
     // Close the web server when the mailserver closes
@@ -4,6 +4,8 @@
  * MailDev - auth.js
  */
 
+const logger = require('./logger')
+
 module.exports = function (user, password) {
   return function (req, res, next) {
     // allow health checks without auth
@@ -17,6 +19,8 @@ module.exports = function (user, password) {
     }
 
     if (!auth || auth[0] !== user || auth[1] !== password) {
+      // req.ip is the X-Forwarded-For address of trusted proxies
+      if (auth) logger.warn('Invalid web credentials from %s', req.ip)
       res.statusCode = 401
       res.setHeader('WWW-Authenticate', 'Basic realm="Authentication required"')
       res.send('Unauthorized')
@@ -0,0 +1,225 @@
+'use strict'
+
+/**
+ * MailDev - faults.js
+ *
+ * SMTP fault injection: answer matching senders, recipients or message sizes
+ * with an error, a greylisting, a dropped connection or a delayed reply.
+ */
+
+const wildstring = require('../vendor/wildstring')
+const fs = require('fs')
+const logger = require('./logger')
+
+wildstring.caseSensitive = false
+
+const ACTIONS = {
+  accept: null,
+  tempfail: { code: 451, message: 'Requested action aborted: local error in processing' },
+  reject: { code: 550, message: 'Requested action not taken: mailbox unavailable' },
+  greylist: { code: 451, message: 'Greylisted, please try again later' },
+  disconnect: null
+}
+const STAGES = ['mail', 'rcpt', 'data']
+
+let rules = []
+
+// Triplets of client address, sender and recipient which were already greylisted once
+const greylisted = new Set()
+
+/**
+ * Faults exports
+ */
+
+const faults = module.exports = {}
+
+/**
+ * Set the rules, accepts an array or the path to a JSON file
+ */
+faults.setRules = function (newRules) {
+  if (typeof newRules === 'string') {
+    try {
+      newRules = JSON.parse(fs.readFileSync(newRules, 'utf8'))
+    } catch (err) {
+      logger.error('Error reading fault rules file at ' + newRules)
+      throw err
+    }
+  }
+
+  if (!Array.isArray(newRules)) {
+    throw new Error('Fault rules must be an array')
+  }
+
+  rules = newRules.map(normalizeRule)
+  greylisted.clear()
+
+  if (rules.length) {
+    logger.log('SMTP fault injection rules: ' + JSON.stringify(rules))
+  }
+}
+
+faults.getRules = function () {
+  return rules
+}
+
+/**
+ * Find the outcome of the first rule matching a transaction at a given stage.
+ * The transaction holds remoteAddress, from, to (array) and size.
+ * Returns null when no rule matches or { rule, delay, error, disconnect }.
+ */
+faults.evaluate = function (stage, transaction) {
+  const rule = findRule(stage, transaction)
+  if (!rule) return null
+
+  const outcome = { rule: rule, delay: rule.delay, error: null, disconnect: rule.action === 'disconnect' }
+
+  if (rule.action === 'greylist') {
+    const key = [transaction.remoteAddress, transaction.from].concat(transaction.to).join('|')
+    if (greylisted.has(key)) return outcome
+    greylisted.add(key)
+  }
+
+  if (ACTIONS[rule.action]) {
+    outcome.error = new Error(rule.message)
+    outcome.error.responseCode = rule.code
+  }
+
+  logger.log('Fault rule matched at %s stage: %s', stage, JSON.stringify(rule))
+
+  return outcome
+}
+
+/**
+ * Wait for the outcome delay, then reply with its error if any
+ */
+faults.apply = function (outcome, callback) {
+  if (!outcome) return callback()
+
+  setTimeout(function () {
+    callback(outcome.error)
+  }, outcome.delay)
+}
+
+/**
+ * Wait for the longest delay of LMTP recipient outcomes, then reply with
+ * the error of each recipient, null when accepted
+ */
+faults.applyEach = function (outcomes, callback) {
+  const delay = Math.max.apply(null, [0].concat(outcomes.map(function (outcome) {
+    return outcome ? outcome.delay : 0
+  })))
+
+  setTimeout(function () {
+    callback(outcomes.map(function (outcome) {
+      return outcome ? outcome.error : null
+    }))
+  }, delay)
+}
+
+/**
+ * Evaluate and apply the rules of the MAIL FROM or RCPT TO stage
+ */
+faults.check = function (stage, transaction, callback) {
+  faults.apply(faults.evaluate(stage, transaction), callback)
+}
+
+/**
+ * Watch a DATA stream. `onDisconnect` is called as soon as a disconnect rule
+ * matches the size received so far. Once the stream ended, `watcher.outcome`
+ * holds the outcome of the data stage, and with `perRecipient` (LMTP)
+ * `watcher.outcomes` holds the outcome of each recipient.
+ */
+faults.watchData = function (stream, transaction, onDisconnect, perRecipient) {
+  const watcher = { outcome: null, outcomes: null, dropped: false }
+  let size = 0
+
+  const sized = function () {
+    return Object.assign({}, transaction, { size: size })
+  }
+
+  stream.on('data', function (chunk) {
+    size += chunk.length
+    if (watcher.dropped) return
+
+    const rule = findRule('data', sized())
+    if (rule && rule.action === 'disconnect') {
+      watcher.dropped = true
+      watcher.outcome = faults.evaluate('data', sized())
+      onDisconnect()
+    }
+  })
+
+  stream.on('end', function () {
+    if (watcher.dropped) return
+    if (perRecipient) {
+      watcher.outcomes = transaction.to.map(function (recipient) {
+        return faults.evaluate('data', Object.assign(sized(), { to: [recipient] }))
+      })
+    } else {
+      watcher.outcome = faults.evaluate('data', sized())
+    }
+  })
+
+  return watcher
+}
+
+function findRule (stage, transaction) {
+  return rules.filter(function (rule) {
+    return rule.stage === stage && matchRule(rule, transaction)
+  })[0]
+}
+
+function matchRule (rule, transaction) {
+  if (rule.from && !wildstring.match(rule.from, transaction.from || '')) {
+    return false
+  }
+  if (rule.to) {
+    const matchesRecipient = (transaction.to || []).some(function (recipient) {
+      return wildstring.match(rule.to, recipient)
+    })
+    if (!matchesRecipient) return false
+  }
+  if (rule.size && !(transaction.size >= rule.size)) {
+    return false
+  }
+  return true
+}
+
+function normalizeRule (rule) {
+  const action = rule.action || (rule.delay ? 'accept' : null)
+  if (!Object.prototype.hasOwnProperty.call(ACTIONS, action)) {
+    throw new Error(`Invalid fault rule action: ${rule.action}`)
+  }
+
+  const stage = rule.stage || (rule.size || action === 'disconnect' ? 'data' : rule.to ? 'rcpt' : 'mail')
+  if (STAGES.indexOf(stage) === -1) {
+    throw new Error(`Invalid fault rule stage: ${stage}`)
+  }
+  if (stage === 'mail' && rule.to) {
+    throw new Error('Fault rules matching recipients cannot apply at the mail stage')
+  }
+  if (stage !== 'data' && action === 'disconnect') {
+    throw new Error('Disconnect fault rules only apply at the data stage')
+  }
+
+  const normalized = {
+    stage: stage,
+    action: action,
+    delay: Number(rule.delay) || 0
+  }
+  if (rule.from) normalized.from = rule.from
+  if (rule.to) normalized.to = rule.to
+  if (rule.size) normalized.size = Number(rule.size)
+
+  if (ACTIONS[action]) {
+    const code = Number(rule.code) || ACTIONS[action].code
+    const expectedClass = action === 'reject' ? 5 : 4
+    if (Math.floor(code / 100) !== expectedClass) {
+      throw new Error(`Invalid fault rule code ${code} for action ${action}`)
+    }
+    normalized.code = code
+    normalized.message = rule.message || ACTIONS[action].message
+  }
+
+  return normalized
+}
@@ -0,0 +1,225 @@
+'use strict'
+
+const { PassThrough } = require('stream')
+const { SMTPConnection } = require('smtp-server/lib/smtp-connection')
+
+const chunkingHelpers = module.exports = {}
+
+// Private internals of smtp-server replaced or read by extendConnection, as
+// found in smtp-server 3.11.0 which package.json pins exactly. Upgrading it
+// requires checking them again.
+const INTERNALS = {
+  handler_EHLO: 'function',
+  handler_DATA: 'function',
+  _resetSession: 'function',
+  _onClose: 'function',
+  _server: 'object',
+  _transactionCounter: 'number',
+  _unrecognizedCommands: 'number',
+  '_parser._feedDataStream': 'function',
+  '_parser._write': 'function',
+  '_parser._dataMode': 'boolean'
+}
+
+function typeOf (value) {
+  return typeof value
+}
+
+/**
+ * Throw when an smtp-server connection, a new one by default, lacks the
+ * internals extendConnection relies on
+ */
+chunkingHelpers.checkInternals = function (connection) {
+  connection = connection || new SMTPConnection({ options: {} }, {})
+  const missing = Object.keys(INTERNALS).filter(function (name) {
+    const value = name.split('.').reduce(function (object, key) {
+      return object && object[key]
+    }, connection)
+    return typeOf(value) !== INTERNALS[name]
+  })
+  if (missing.length) {
+    throw new Error('CHUNKING is not supported by this version of smtp-server, missing ' + missing.join(', '))
+  }
+}
+
+/**
+ * Add CHUNKING and BINARYMIME (RFC 3030) to an smtp-server connection, which
+ * only implements DATA. The BDAT chunks of a transaction are given to onData
+ * as a single stream, like DATA, with `transferMethod` set to 'BDAT'. The
+ * SIZE keyword of EHLO gets the limit back when hideSize is set.
+ */
+chunkingHelpers.extendConnection = function (connection) {
+  const parser = connection._parser
+  const feedDataStream = parser._feedDataStream
+  const handleEhlo = connection.handler_EHLO
+  const handleData = connection.handler_DATA
+  const resetSession = connection._resetSession
+  const onClose = connection._onClose
+
+  // In data mode, read the BDAT chunk as is instead of looking for the final dot
+  parser._feedDataStream = function (chunk, done) {
+    const reader = this._chunkReader
+    if (!reader) return feedDataStream.call(this, chunk, done)
+
+    const data = chunk.slice(0, reader.remaining)
+    reader.remaining -= data.length
+    const drained = !data.length || !reader.target || reader.target.write(data)
+
+    if (reader.remaining) {
+      return drained ? done() : reader.target.once('drain', done)
+    }
+    this._dataMode = false
+    this._chunkReader = null
+    reader.onEnd(() => this._write(chunk.slice(data.length), 'buffer', done))
+  }
+
+  connection.handler_EHLO = function (command, callback) {
+    const send = this.send
+    this.send = function (code, data) {
+      this.send = send
+      if (code === 250 && Array.isArray(data)) {
+        const size = this._server.options.size
+        data = data.map((feature) => {
+          // MailDev sets hideSize to check the declared sizes itself
+          return feature === 'SIZE' && size ? 'SIZE ' + size : feature
+        }).concat(['CHUNKING', 'BINARYMIME'].filter((feature) => {
+          return !this._server.options['hide' + feature]
+        }))
+      }
+      return send.call(this, code, data)
+    }
+    handleEhlo.call(this, command, callback)
+  }
+
+  connection.handler_DATA = function (command, callback) {
+    const mailFrom = this.session.envelope.mailFrom
+    if (mailFrom && mailFrom.args && String(mailFrom.args.BODY).toUpperCase() === 'BINARYMIME') {
+      this.send(503, 'Error: BODY=BINARYMIME requires BDAT')
+      return callback()
+    }
+    handleData.call(this, command, callback)
+  }
+
+  connection.handler_BDAT = function (command, callback) {
+    const args = command.toString().trim().split(/\s+/)
+    const last = args.length === 3 && args[2].toUpperCase() === 'LAST'
+
+    if (!/^\d+$/.test(args[1] || '') || (args.length > 2 && !last)) {
+      this.send(501, 'Error: syntax: BDAT size [LAST]')
+      return callback()
+    }
+    if (!this._parser) {
+      return callback()
+    }
+
+    const size = Number(args[1])
+    if (!this.session.envelope.rcptTo.length) {
+      // The chunk is sent without waiting for the reply, skip it
+      return readChunk(this, size, null, (next) => {
+        this.send(503, 'Error: need RCPT command')
+        next()
+      }, callback)
+    }
+
+    const transaction = this._bdatTransaction || startTransaction(this)
+    readChunk(this, size, transaction.stream, (next) => {
+      transaction.size += size
+      transaction.chunks++
+      if (!last) {
+        this.send(250, 'Ok: ' + size + ' octets received')
+        return next()
+      }
+      endTransaction(this, transaction, next)
+    }, callback)
+  }
+
+  // RSET, EHLO or a closed connection abandon the chunks received so far
+  connection._resetSession = function (...args) {
+    abortTransaction(this)
+    return resetSession.apply(this, args)
+  }
+
+  connection._onClose = function (...args) {
+    abortTransaction(this)
+    return onClose.apply(this, args)
+  }
+}
+
+/**
+ * Read `size` bytes into target, or skip them without target, then call
+ * onEnd with the function continuing to read commands
+ */
+function readChunk (connection, size, target, onEnd, callback) {
+  if (!size) {
+    onEnd(callback)
+    return
+  }
+  connection._parser._chunkReader = { remaining: size, target: target, onEnd: onEnd }
+  connection._parser._dataMode = true
+  callback()
+}
+
+function startTransaction (connection) {
+  const stream = new PassThrough()
+  stream.transferMethod = 'BDAT'
+
+  const transaction = connection._bdatTransaction = {
+    stream: stream,
+    size: 0,
+    chunks: 0,
+    result: null,
+    onResult: null
+  }
+  connection._server.onData(stream, connection.session, (err, message) => {
+    transaction.result = { err: err, message: message }
+    if (transaction.onResult) transaction.onResult()
+  })
+  return transaction
+}
+
+function endTransaction (connection, transaction, next) {
+  const maxSize = connection._server.options.size
+  transaction.stream.byteLength = transaction.size
+  transaction.stream.chunks = transaction.chunks
+  transaction.stream.sizeExceeded = !!maxSize && transaction.size > maxSize
+  connection._bdatTransaction = null
+  transaction.stream.end()
+
+  transaction.onResult = function () {
+    sendDataResponse(connection, transaction.result.err, transaction.result.message)
+    connection._transactionCounter++
+    connection._unrecognizedCommands = 0
+    connection._resetSession()
+    next()
+  }
+  if (transaction.result) transaction.onResult()
+}
+
+function abortTransaction (connection) {
+  const transaction = connection._bdatTransaction
+  if (!transaction) return
+
+  connection._bdatTransaction = null
+  transaction.stream.aborted = true
+  transaction.stream.end()
+}
+
+// Same responses as smtp-server gives once DATA is over
+function sendDataResponse (connection, err, message) {
+  const replies = connection._server.options.lmtp ? connection.session.envelope.rcptTo.length : 1
+  let i
+
+  if (err) {
+    for (i = 0; i < replies; i++) connection.send(err.responseCode || 450, err.message)
+  } else if (Array.isArray(message)) {
+    message.forEach((response) => {
+      if (response instanceof Error) {
+        connection.send(response.responseCode || 450, response.message)
+      } else {
+        connection.send(250, typeof response === 'string' ? response : 'OK: message accepted')
+      }
+    })
+  } else {
+    for (i = 0; i < replies; i++) connection.send(250, typeof message === 'string' ? message : 'OK: message queued')
+  }
+}
@@ -0,0 +1,39 @@
+'use strict'
+
+const ipaddr = require('ipaddr.js')
+
+const cidrHelpers = module.exports = {}
+
+/**
+ * Parse a list of CIDR ranges or single addresses, ex. ['10.0.0.0/8', '::1'].
+ * A comma separated string is accepted too.
+ */
+cidrHelpers.parse = function (list) {
+  if (typeof list === 'string') list = list.split(',')
+
+  return (list || [])
+    .map(function (range) { return range.trim() })
+    .filter(Boolean)
+    .map(function (range) {
+      try {
+        if (range.indexOf('/') > -1) return ipaddr.parseCIDR(range)
+        const address = ipaddr.parse(range)
+        return [address, address.kind() === 'ipv6' ? 128 : 32]
+      } catch (err) {
+        throw new Error(`Invalid CIDR range: ${range}`)
+      }
+    })
+}
+
+/**
+ * Whether an address is in one of the parsed ranges. IPv4-mapped IPv6
+ * addresses, as seen on dual stack listeners, match IPv4 ranges.
+ */
+cidrHelpers.contains = function (ranges, address) {
+  if (!ipaddr.isValid(address)) return false
+  const parsed = ipaddr.process(address)
+
+  return ranges.some(function (range) {
+    return parsed.kind() === range[0].kind() && parsed.match(range)
+  })
+}
@@ -0,0 +1,126 @@
+'use strict'
+
+const { Writable } = require('stream')
+
+const mboxHelpers = module.exports = {}
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+const LF = 0x0a
+
+/**
+ * Separator line of a message, ex. `From bodhi@surf.test Thu Aug 18 10:00:00 2022`
+ */
+mboxHelpers.formatFromLine = function (sender, date) {
+  date = new Date(date)
+  if (isNaN(date.getTime())) date = new Date(0)
+  const pad = (value) => String(value).padStart(2, '0')
+  return 'From ' + (String(sender || '').replace(/\s/g, '') || 'MAILER-DAEMON') + ' ' +
+    DAYS[date.getUTCDay()] + ' ' + MONTHS[date.getUTCMonth()] + ' ' + pad(date.getUTCDate()) + ' ' +
+    pad(date.getUTCHours()) + ':' + pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds()) + ' ' +
+    date.getUTCFullYear()
+}
+
+/**
+ * A raw email as an mboxrd message: the separator line, the lines with LF
+ * endings, `From ` lines quoted with `>` and a blank line
+ */
+mboxHelpers.formatMessage = function (sender, date, raw) {
+  const body = raw.toString('binary')
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1')
+  return Buffer.from(
+    mboxHelpers.formatFromLine(sender, date) + '\n' + body + (body.endsWith('\n') ? '' : '\n') + '\n',
+    'binary'
+  )
+}
+
+/**
+ * Writable stream splitting an mbox file, `onMessage({ sender, raw }, done)`
+ * is called for each message in turn, its raw source having CRLF endings
+ * and the mboxrd quoting removed
+ */
+mboxHelpers.createParser = function (onMessage) {
+  let pending = Buffer.alloc(0)
+  let message = null
+  let previousBlank = true
+
+  const takeMessage = function () {
+    if (!message) return null
+    const lines = message.lines
+    // The blank line before the next separator is not part of the message
+    if (lines.length && !lines[lines.length - 1].length) lines.pop()
+    const completed = {
+      sender: message.sender,
+      raw: Buffer.concat(lines.map((line) => Buffer.concat([line, Buffer.from('\r\n')])))
+    }
+    message = null
+    return completed
+  }
+
+  // Returns the message completed by a separator line, if any
+  const readLine = function (line) {
+    if (line.length && line[line.length - 1] === 0x0d) line = line.slice(0, -1)
+
+    if (previousBlank && line.slice(0, 5).toString('binary') === 'From ') {
+      previousBlank = false
+      const completed = takeMessage()
+      message = { sender: line.toString('binary').split(' ')[1] || null, lines: [] }
+      return completed
+    }
+    previousBlank = !line.length
+    if (!message) {
+      if (line.length) throw new Error('Invalid mbox file, it must start with a "From " line')
+      return null
+    }
+    message.lines.push(/^>+From /.test(line.slice(0, 80).toString('binary')) ? line.slice(1) : line)
+    return null
+  }
+
+  const handOver = function (completed, done) {
+    if (!completed) return done()
+    onMessage(completed, done)
+  }
+
+  // Read the complete lines of the buffer, waiting for each completed message
+  const readLines = function (done) {
+    let end
+    while ((end = pending.indexOf(LF)) !== -1) {
+      const line = pending.slice(0, end)
+      pending = pending.slice(end + 1)
+      let completed
+      try {
+        completed = readLine(line)
+      } catch (err) {
+        return done(err)
+      }
+      if (completed) {
+        return handOver(completed, function (err) {
+          if (err) return done(err)
+          readLines(done)
+        })
+      }
+    }
+    done()
+  }
+
+  return new Writable({
+    write (chunk, encoding, done) {
+      pending = Buffer.concat([pending, chunk])
+      readLines(done)
+    },
+    final (done) {
+      let completed = null
+      try {
+        if (pending.length) completed = readLine(pending)
+      } catch (err) {
+        return done(err)
+      }
+      pending = Buffer.alloc(0)
+      handOver(completed, function (err) {
+        if (err) return done(err)
+        handOver(takeMessage(), done)
+      })
+    }
+  })
+}
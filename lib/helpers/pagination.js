@@ -0,0 +1,132 @@
+'use strict'
+
+const paginationHelpers = module.exports = {}
+
+// Values of the sort keys, ties are ordered by id
+const SORT_KEYS = {
+  time: function (email) {
+    return email.time ? new Date(email.time).getTime() || 0 : 0
+  },
+  subject: function (email) {
+    return String(email.subject || '').toLowerCase()
+  },
+  size: function (email) {
+    return email.size || 0
+  },
+  from: function (email) {
+    const from = email.from && email.from[0]
+    return String((from && from.address) || '').toLowerCase()
+  }
+}
+
+/**
+ * Query parameters of the pagination, they are not email filters
+ */
+paginationHelpers.params = ['limit', 'offset', 'cursor', 'sort', 'order']
+
+/**
+ * Validate the pagination parameters of a query, ex. `{ limit: '50', sort:
+ * 'subject', order: 'desc' }`. The emails are sorted by time, oldest first,
+ * and all of them returned by default.
+ */
+paginationHelpers.parse = function (query) {
+  query = query || {}
+  const options = {
+    limit: 0,
+    offset: 0,
+    cursor: null,
+    sort: query.sort || 'time',
+    order: query.order || 'asc'
+  }
+
+  if (!SORT_KEYS[options.sort]) {
+    throw new Error('Invalid sort, expected one of ' + Object.keys(SORT_KEYS).join(', '))
+  }
+  if (options.order !== 'asc' && options.order !== 'desc') {
+    throw new Error('Invalid order, expected asc or desc')
+  }
+  if (query.limit !== undefined) {
+    options.limit = parseCount(query.limit, 'limit')
+    if (!options.limit) throw new Error('Invalid limit, expected a positive integer')
+  }
+  if (query.offset !== undefined) {
+    options.offset = parseCount(query.offset, 'offset')
+  }
+  if (query.cursor !== undefined) {
+    if (query.offset !== undefined) throw new Error('Use either a cursor or an offset')
+    options.cursor = decodeCursor(query.cursor, options)
+  }
+  return options
+}
+
+/**
+ * Sort the emails and take a page of them, returns the emails of the page,
+ * the number of emails and the cursor of the next page, null on the last
+ * one. Cursors are positions in the sort, new or deleted emails do not
+ * shift the following pages.
+ */
+paginationHelpers.paginate = function (emails, options) {
+  const getValue = SORT_KEYS[options.sort]
+  const compare = createComparator(options.order)
+  const sorted = emails.map(function (email) {
+    return { value: getValue(email), id: email.id, email: email }
+  }).sort(compare)
+
+  let start = options.offset || 0
+  if (options.cursor) {
+    start = sorted.findIndex(function (position) {
+      return compare(position, options.cursor) > 0
+    })
+    if (start === -1) start = sorted.length
+  }
+  const end = options.limit ? start + options.limit : sorted.length
+  const page = sorted.slice(start, end)
+  const last = page[page.length - 1]
+
+  return {
+    emails: page.map(function (position) { return position.email }),
+    total: sorted.length,
+    nextCursor: end < sorted.length && last ? encodeCursor(last, options) : null
+  }
+}
+
+function parseCount (value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error('Invalid ' + name + ', expected a positive integer')
+  }
+  return Number(value)
+}
+
+// A cursor holds the sort, the order and the position of the last email of
+// a page: its sort value and its id
+function encodeCursor (position, options) {
+  const content = [options.sort, options.order, position.value, position.id]
+  return Buffer.from(JSON.stringify(content)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function decodeCursor (cursor, options) {
+  let position
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64').toString())
+  } catch (err) {
+    position = null
+  }
+  if (!Array.isArray(position) || position.length !== 4) {
+    throw new Error('Invalid cursor')
+  }
+  if (position[0] !== options.sort || position[1] !== options.order) {
+    throw new Error('The cursor belongs to another sort or order')
+  }
+  return { value: position[2], id: position[3] }
+}
+
+// Compares positions in the sort, `{ value, id }`
+function createComparator (order) {
+  const direction = order === 'desc' ? -1 : 1
+  return function (a, b) {
+    const byValue = a.value < b.value ? -1 : a.value > b.value ? 1 : 0
+    const byId = a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+    return direction * (byValue || byId)
+  }
+}
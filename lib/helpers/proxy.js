@@ -0,0 +1,118 @@
+'use strict'
+
+const ipaddr = require('ipaddr.js')
+
+const proxyHelpers = module.exports = {}
+
+const V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a])
+const V1_MAX_LENGTH = 107
+const HEADER_TIMEOUT = 10 * 1000
+
+/**
+ * Parse a PROXY protocol v1 or v2 header at the start of a buffer. Returns
+ * null when more data is needed, or { length, remoteAddress, remotePort }
+ * where remoteAddress is null for LOCAL and UNKNOWN connections.
+ */
+proxyHelpers.parseHeader = function (buffer) {
+  const signatureLength = Math.min(buffer.length, V2_SIGNATURE.length)
+  if (buffer.slice(0, signatureLength).equals(V2_SIGNATURE.slice(0, signatureLength))) {
+    return buffer.length < 16 ? null : parseV2(buffer)
+  }
+
+  const end = buffer.indexOf('\r\n')
+  if (end === -1) {
+    if (buffer.length >= V1_MAX_LENGTH || !'PROXY '.startsWith(buffer.slice(0, 6).toString())) {
+      throw new Error('Invalid PROXY protocol header')
+    }
+    return null
+  }
+  return parseV1(buffer.slice(0, end).toString('ascii'), end + 2)
+}
+
+/**
+ * Read the PROXY protocol header of a socket, leaving the SMTP data unread
+ */
+proxyHelpers.readHeader = function (socket, callback) {
+  let buffer = Buffer.alloc(0)
+  let done = false
+
+  const finish = function (err, header) {
+    if (done) return
+    done = true
+    clearTimeout(timer)
+    socket.removeListener('readable', onReadable)
+    socket.removeListener('close', onClose)
+    callback(err, header)
+  }
+
+  const onClose = function () {
+    finish(new Error('Connection closed before the PROXY protocol header'))
+  }
+
+  const onReadable = function () {
+    let chunk
+    while ((chunk = socket.read()) !== null) {
+      buffer = Buffer.concat([buffer, chunk])
+      let header
+      try {
+        header = proxyHelpers.parseHeader(buffer)
+      } catch (err) {
+        return finish(err)
+      }
+      if (header) {
+        if (buffer.length > header.length) socket.unshift(buffer.slice(header.length))
+        return finish(null, header)
+      }
+    }
+  }
+
+  const timer = setTimeout(function () {
+    finish(new Error('Timeout waiting for the PROXY protocol header'))
+  }, HEADER_TIMEOUT)
+
+  socket.on('readable', onReadable)
+  socket.on('close', onClose)
+}
+
+// PROXY TCP4 192.0.2.1 198.51.100.1 56324 25
+function parseV1 (line, length) {
+  const parts = line.split(' ')
+  if (parts[0] !== 'PROXY') {
+    throw new Error('Invalid PROXY protocol header')
+  }
+  if (parts[1] === 'UNKNOWN') {
+    return { length: length, remoteAddress: null, remotePort: null }
+  }
+  if ((parts[1] !== 'TCP4' && parts[1] !== 'TCP6') || parts.length !== 6 || !ipaddr.isValid(parts[2])) {
+    throw new Error('Invalid PROXY protocol header: ' + line)
+  }
+  return { length: length, remoteAddress: parts[2], remotePort: Number(parts[4]) }
+}
+
+function parseV2 (buffer) {
+  const version = buffer[12] >> 4
+  const command = buffer[12] & 0x0f
+  const family = buffer[13]
+  const length = 16 + buffer.readUInt16BE(14)
+
+  if (version !== 2 || command > 1) {
+    throw new Error('Invalid PROXY protocol v2 header')
+  }
+  if (buffer.length < length) return null
+
+  // LOCAL connections, ex. health checks of the proxy itself, and unsupported families
+  if (command === 0 || (family !== 0x11 && family !== 0x21)) {
+    return { length: length, remoteAddress: null, remotePort: null }
+  }
+
+  const addressLength = family === 0x11 ? 4 : 16
+  if (length < 16 + addressLength * 2 + 4) {
+    throw new Error('Invalid PROXY protocol v2 header')
+  }
+  const source = Array.from(buffer.slice(16, 16 + addressLength))
+  return {
+    length: length,
+    remoteAddress: ipaddr.fromByteArray(source).toString(),
+    remotePort: buffer.readUInt16BE(16 + addressLength * 2)
+  }
+}
@@ -1,17 +1,213 @@
 'use strict'
 
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const bcrypt = require('bcryptjs')
+
 const smtpHelpers = module.exports = {}
 
 /**
- * Authorize callback for smtp server
+ * Authorize callback for smtp server, accepting the single username and
+ * password pair or any account of the users Map with PLAIN, LOGIN or
+ * CRAM-MD5, and the bearer tokens of oauth ({ tokens, publicKey }) with
+ * XOAUTH2. The auth method is kept on the session to be recorded in the
+ * envelope.
  */
-smtpHelpers.createOnAuthCallback = function (username, password) {
+smtpHelpers.createOnAuthCallback = function (username, password, users, oauth) {
   return function onAuth (auth, session, callback) {
-    if (auth.username && auth.password) {
-      if (auth.username !== username || auth.password !== password) {
+    if (auth.method === 'XOAUTH2') {
+      if (!smtpHelpers.verifyAccessToken(oauth, auth.accessToken)) {
+        // Sent base64 encoded in a 334 reply, as Gmail does
+        return callback(null, { data: { status: '401', schemes: 'bearer' } })
+      }
+      session.authMethod = auth.method
+      return callback(null, { user: auth.username })
+    }
+    if (auth.method === 'CRAM-MD5') {
+      // Hashed passwords of the users file cannot answer the challenge
+      const isValid = (auth.username === username && !!password && auth.validatePassword(password)) ||
+        !!(users && users.has(auth.username) && !isPasswordHash(users.get(auth.username)) &&
+          auth.validatePassword(users.get(auth.username)))
+      if (!isValid) {
         return callback(new Error('Invalid username or password'))
       }
+      session.authMethod = auth.method
+      return callback(null, { user: auth.username })
+    }
+    // PLAIN and LOGIN, empty usernames or passwords are never valid
+    const isValid = !!auth.username && !!auth.password &&
+      ((auth.username === username && auth.password === password) ||
+        !!(users && users.has(auth.username) && smtpHelpers.verifyPassword(users.get(auth.username), auth.password)))
+    if (!isValid) {
+      return callback(new Error('Invalid username or password'))
     }
-    callback(null, { user: username })
+    session.authMethod = auth.method
+    callback(null, { user: auth.username })
+  }
+}
+
+/**
+ * Check an XOAUTH2 bearer token against the static tokens, or as a JWT
+ * signed by the private key of publicKey
+ */
+smtpHelpers.verifyAccessToken = function (oauth, token) {
+  if (!oauth || !token) return false
+  if ((oauth.tokens || []).some(function (accepted) { return safeEqual(accepted, token) })) {
+    return true
   }
+  return !!oauth.publicKey && !!smtpHelpers.verifyJwt(token, oauth.publicKey)
+}
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+}
+
+/**
+ * Verify the signature and the validity period of a JWT signed with RSA or
+ * ECDSA, returns its claims or null
+ */
+smtpHelpers.verifyJwt = function (token, publicKey) {
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64').toString())
+    const algorithm = JWT_ALGORITHMS[header.alg]
+    if (!algorithm) return null
+
+    const key = { key: publicKey, dsaEncoding: algorithm.dsaEncoding }
+    const signature = Buffer.from(parts[2], 'base64')
+    if (!crypto.verify(algorithm.hash, Buffer.from(parts[0] + '.' + parts[1]), key, signature)) {
+      return null
+    }
+
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64').toString())
+    const now = Date.now() / 1000
+    if ((typeof claims.exp === 'number' && claims.exp <= now) ||
+      (typeof claims.nbf === 'number' && claims.nbf > now)) {
+      return null
+    }
+    return claims
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Read a users file into a Map of username to password or password hash.
+ * JSON files hold an object of usernames to passwords or an array of
+ * { user, pass } objects, any other file is read as htpasswd lines.
+ */
+smtpHelpers.readUsersFile = function (file) {
+  const content = fs.readFileSync(file, 'utf8')
+  const users = new Map()
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    const parsed = JSON.parse(content)
+    if (Array.isArray(parsed)) {
+      parsed.forEach(function (account) {
+        users.set(account.user, account.pass)
+      })
+    } else {
+      Object.keys(parsed).forEach(function (user) {
+        users.set(user, parsed[user])
+      })
+    }
+    return users
+  }
+
+  content.split(/\r?\n/).forEach(function (line) {
+    line = line.trim()
+    if (!line || line[0] === '#') return
+    const separator = line.indexOf(':')
+    if (separator < 1) {
+      throw new Error(`Invalid line in users file ${file}: ${line}`)
+    }
+    users.set(line.slice(0, separator), line.slice(separator + 1))
+  })
+  return users
+}
+
+/**
+ * Check a password against a stored htpasswd entry: bcrypt, Apache MD5,
+ * SHA1 or plain text
+ */
+smtpHelpers.verifyPassword = function (stored, password) {
+  if (typeof stored !== 'string') return false
+  if (/^\$2[aby]\$/.test(stored)) {
+    return bcrypt.compareSync(password, stored)
+  }
+  if (stored.indexOf('$apr1$') === 0) {
+    const salt = stored.split('$')[2]
+    return safeEqual(stored, apr1(password, salt))
+  }
+  if (stored.indexOf('{SHA}') === 0) {
+    const hash = crypto.createHash('sha1').update(password).digest('base64')
+    return safeEqual(stored, '{SHA}' + hash)
+  }
+  return safeEqual(stored, password)
+}
+
+function isPasswordHash (stored) {
+  return typeof stored !== 'string' || /^\$2[aby]\$/.test(stored) ||
+    stored.indexOf('$apr1$') === 0 || stored.indexOf('{SHA}') === 0
+}
+
+function safeEqual (a, b) {
+  const bufferA = Buffer.from(a)
+  const bufferB = Buffer.from(b)
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+// Apache variant of the MD5 based crypt(3) used by `htpasswd -m`
+function apr1 (password, salt) {
+  const magic = '$apr1$'
+  const md5 = function () {
+    const hash = crypto.createHash('md5')
+    for (let i = 0; i < arguments.length; i++) hash.update(arguments[i])
+    return hash.digest()
+  }
+  const pw = Buffer.from(password)
+  salt = Buffer.from(salt.slice(0, 8))
+
+  const chunks = [pw, Buffer.from(magic), salt]
+  const alternate = md5(pw, salt, pw)
+  for (let length = pw.length; length > 0; length -= 16) {
+    chunks.push(alternate.slice(0, Math.min(length, 16)))
+  }
+  for (let i = pw.length; i; i >>= 1) {
+    chunks.push(i & 1 ? Buffer.from([0]) : pw.slice(0, 1))
+  }
+  let final = md5.apply(null, chunks)
+
+  for (let i = 0; i < 1000; i++) {
+    const round = [i & 1 ? pw : final]
+    if (i % 3) round.push(salt)
+    if (i % 7) round.push(pw)
+    round.push(i & 1 ? final : pw)
+    final = md5.apply(null, round)
+  }
+
+  const itoa64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+  const to64 = function (value, length) {
+    let out = ''
+    while (length--) {
+      out += itoa64[value & 0x3f]
+      value >>= 6
+    }
+    return out
+  }
+  const encoded = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]
+    .map(function (bytes) {
+      return to64((final[bytes[0]] << 16) | (final[bytes[1]] << 8) | final[bytes[2]], 4)
+    })
+    .join('') + to64(final[11], 2)
+
+  return magic + salt.toString() + '$' + encoded
 }
@@ -0,0 +1,143 @@
+'use strict'
+
+const fs = require('fs')
+const tls = require('tls')
+const selfsigned = require('selfsigned')
+const logger = require('../logger')
+
+const tlsHelpers = module.exports = {}
+
+// Generated at most once per process, only when no key/cert is configured
+let selfSignedCredentials = null
+
+/**
+ * Read the TLS key and certificate, or generate a self-signed pair for localhost
+ */
+tlsHelpers.getCredentials = function (keyFile, certFile) {
+  if (keyFile || certFile) {
+    if (!keyFile || !certFile) {
+      throw new Error('Both a TLS key and a TLS certificate are required')
+    }
+    return {
+      key: fs.readFileSync(keyFile),
+      cert: fs.readFileSync(certFile)
+    }
+  }
+
+  if (!selfSignedCredentials) {
+    logger.info('MailDev generating a self-signed certificate for SMTP TLS')
+    const pems = selfsigned.generate(
+      [{ name: 'commonName', value: 'localhost' }],
+      { days: 365, keySize: 2048 }
+    )
+    selfSignedCredentials = { key: pems.private, cert: pems.cert }
+  }
+  return selfSignedCredentials
+}
+
+/**
+ * Negotiated protocol and cipher of a smtp-server session, false if not encrypted
+ */
+tlsHelpers.getSessionTls = function (session) {
+  if (!session.secure || !session.tlsOptions) {
+    return false
+  }
+  return {
+    protocol: session.tlsOptions.version,
+    cipher: session.tlsOptions.name
+  }
+}
+
+/**
+ * Client certificate of a TLS socket with whether it is signed by the
+ * configured CA, false when none was sent
+ */
+tlsHelpers.getClientCertificate = function (socket) {
+  const cert = socket.getPeerCertificate ? socket.getPeerCertificate() : null
+  if (!cert || !cert.subject) {
+    return false
+  }
+  // Only the sockets of a tls.Server get `authorized`, smtp-server wraps its sockets itself
+  const verifyError = socket._handle && socket._handle.verifyError()
+  return {
+    subject: Object.assign({}, cert.subject),
+    issuer: Object.assign({}, cert.issuer),
+    fingerprint: cert.fingerprint256,
+    serialNumber: cert.serialNumber,
+    validTo: cert.valid_to,
+    authorized: !verifyError,
+    authorizationError: verifyError ? verifyError.code : null
+  }
+}
+
+/**
+ * Keep the client certificate on the session once TLS is established, at
+ * connection with implicit TLS or after STARTTLS. A certificate signed by the
+ * CA authenticates the session as its common name.
+ */
+tlsHelpers.watchClientCertificate = function (connection) {
+  const session = connection.session
+  const onSecure = function () {
+    session.clientCert = tlsHelpers.getClientCertificate(connection._socket)
+    if (session.clientCert && session.clientCert.authorized && !session.user) {
+      session.user = session.clientCert.subject.CN || session.clientCert.fingerprint
+      session.authMethod = 'EXTERNAL'
+    }
+  }
+
+  if (connection.secure) {
+    onSecure()
+  }
+  const upgrade = connection.upgrade
+  connection.upgrade = function (callback, secureCallback) {
+    upgrade.call(this, callback, function () {
+      onSecure()
+      if (typeof secureCallback === 'function') secureCallback()
+    })
+  }
+}
+
+/**
+ * Implicit TLS of smtp-server ignores requestCert, replace its upgrade of new
+ * connections by one asking for a client certificate. The certificate is
+ * checked by the listener, not rejected during the handshake. A failed
+ * handshake closes its connection only, the error is logged by the listener.
+ */
+tlsHelpers.requestClientCertificate = function (smtp) {
+  smtp._upgrade = function (socket, callback) {
+    const tlsSocket = new tls.TLSSocket(socket, {
+      secureContext: this.secureContext.get('*'),
+      isServer: true,
+      server: this.server,
+      requestCert: true,
+      rejectUnauthorized: false
+    })
+
+    let returned = false
+    const onError = function (err) {
+      if (returned) return
+      returned = true
+      tlsSocket.destroy()
+      socket.destroy()
+      callback(err || new Error('Socket closed unexpectedly'))
+    }
+
+    socket.once('error', onError)
+    tlsSocket.once('close', onError)
+    tlsSocket.once('error', onError)
+    tlsSocket.once('_tlsError', onError)
+    tlsSocket.once('tlsClientError', onError)
+    tlsSocket.once('secure', function () {
+      socket.removeListener('error', onError)
+      tlsSocket.removeListener('close', onError)
+      tlsSocket.removeListener('error', onError)
+      tlsSocket.removeListener('_tlsError', onError)
+      tlsSocket.removeListener('tlsClientError', onError)
+      if (returned) {
+        return tlsSocket.end()
+      }
+      returned = true
+      callback(null, tlsSocket)
+    })
+  }
+}
@@ -0,0 +1,99 @@
+'use strict'
+
+/**
+ * MailDev - limits.js
+ *
+ * Client address allowlist/denylist and per address message rate limit of
+ * the SMTP server.
+ */
+
+const cidrHelpers = require('./helpers/cidr')
+const logger = require('./logger')
+
+const RATE_WINDOW = 60 * 1000
+
+let allowed = []
+let denied = []
+let rateLimit = 0
+
+// Times of the recent messages of each client address
+const recentMessages = new Map()
+
+/**
+ * Limits exports
+ */
+
+const limits = module.exports = {}
+
+/**
+ * options:
+ *   allow - CIDR ranges allowed to connect, any address when empty
+ *   deny - CIDR ranges refused, even when allowed
+ *   rateLimit - messages per minute of a client address, 0 for unlimited
+ */
+limits.setup = function (options) {
+  options = options || {}
+  allowed = cidrHelpers.parse(options.allow)
+  denied = cidrHelpers.parse(options.deny)
+  rateLimit = Number(options.rateLimit) || 0
+  recentMessages.clear()
+
+  if (allowed.length || denied.length) {
+    logger.log('MailDev SMTP clients allowed: %s, denied: %s',
+      formatRanges(allowed) || 'any', formatRanges(denied) || 'none')
+  }
+}
+
+/**
+ * Check a new connection, returns an error with a responseCode or null
+ */
+limits.checkConnection = function (remoteAddress) {
+  if (cidrHelpers.contains(denied, remoteAddress) ||
+    (allowed.length && !cidrHelpers.contains(allowed, remoteAddress))) {
+    return createError(554, 'Access denied for ' + remoteAddress, 'denied')
+  }
+  if (isOverRate(remoteAddress)) {
+    return createError(421, 'Too many messages from ' + remoteAddress + ', try again later', 'rateLimited')
+  }
+  return null
+}
+
+/**
+ * Check and count a new message from MAIL FROM, returns an error or null
+ */
+limits.checkMessage = function (remoteAddress) {
+  if (!rateLimit) return null
+  if (isOverRate(remoteAddress)) {
+    return createError(451, 'Too many messages from ' + remoteAddress + ', try again later', 'rateLimited')
+  }
+  recentMessages.set(remoteAddress, (recentMessages.get(remoteAddress) || []).concat(Date.now()))
+  return null
+}
+
+function isOverRate (remoteAddress) {
+  if (!rateLimit) return false
+
+  const since = Date.now() - RATE_WINDOW
+  const times = (recentMessages.get(remoteAddress) || []).filter(function (time) {
+    return time > since
+  })
+  if (times.length) {
+    recentMessages.set(remoteAddress, times)
+  } else {
+    recentMessages.delete(remoteAddress)
+  }
+  return times.length >= rateLimit
+}
+
+function createError (code, message, reason) {
+  const err = new Error(message)
+  err.responseCode = code
+  err.reason = reason
+  return err
+}
+
+function formatRanges (ranges) {
+  return ranges.map(function (range) {
+    return range[0].toString() + '/' + range[1]
+  }).join(', ')
+}
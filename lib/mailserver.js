@@ -5,23 +5,70 @@
  */
 
 const SMTPServer = require('smtp-server').SMTPServer
+const { SMTPConnection } = require('smtp-server/lib/smtp-connection')
 const MailParser = require('../vendor/mailparser-mit').MailParser
+const async = require('async')
+const crypto = require('crypto')
 const events = require('events')
+const { PassThrough, Readable } = require('stream')
 const fs = require('fs')
 const os = require('os')
 const path = require('path')
-const rimraf = require('rimraf')
+const wildstring = require('../vendor/wildstring')
 const utils = require('./utils')
 const logger = require('./logger')
 const smtpHelpers = require('./helpers/smtp')
+const tlsHelpers = require('./helpers/tls')
+const cidrHelpers = require('./helpers/cidr')
+const proxyHelpers = require('./helpers/proxy')
+const chunkingHelpers = require('./helpers/chunking')
+const mboxHelpers = require('./helpers/mbox')
+const paginationHelpers = require('./helpers/pagination')
+const createStorage = require('./storage')
 const { calculateBcc } = require('./helpers/bcc')
 const outgoing = require('./outgoing')
+const faults = require('./faults')
+const transcripts = require('./transcripts')
+const limits = require('./limits')
+const retention = require('./retention')
+const search = require('./search')
+const watchDirectory = require('./watcher')
 const createDOMPurify = require('dompurify')
 const { JSDOM } = require('jsdom')
 
-const store = []
 const eventEmitter = new events.EventEmitter()
 
+// Raw emails parsed at the same time, when reloading the mail directory or
+// loading the bodies of a list, and the number of emails between two progress
+// events of a reload
+const PARSE_CONCURRENCY = 4
+const RELOAD_PROGRESS_INTERVAL = 50
+
+// Progress of the last reload of the mail directory, see getReloadProgress
+let reload = { running: false, total: 0, loaded: 0, skipped: 0, failed: 0, startedAt: null, finishedAt: null }
+let reloadCallbacks = []
+
+// Errors of a listener which cannot accept connections, the other errors
+// belong to a single client connection
+const LISTENER_ERRORS = ['EADDRINUSE', 'EADDRNOTAVAIL', 'EACCES']
+
+wildstring.caseSensitive = false
+
+// Recipients refused because their domain is not accepted, the oldest are
+// forgotten past MAX_BLOCKED_ATTEMPTS
+const blockedAttempts = []
+const MAX_BLOCKED_ATTEMPTS = 1000
+
+// Counters of rejected SMTP attempts
+const stats = {
+  oversizedMessages: 0,
+  deniedConnections: 0,
+  tooManyConnections: 0,
+  rateLimited: 0,
+  blockedRecipients: 0,
+  failedLogins: 0
+}
+
 const defaultPort = 1025
 const defaultHost = '0.0.0.0'
 const defaultMailDir = path.join(
@@ -35,17 +82,15 @@ const defaultMailDir = path.join(
 
 const mailServer = (module.exports = {})
 
-mailServer.store = store
-
 /**
  * SMTP Server stream and helper functions
  */
 
-// Save an email object on stream end
-function saveEmailToStore (id, isRead = false, envelope, parsedEmail) {
-  const emlPath = path.join(mailServer.mailDir, id + '.eml')
-
-  const stat = fs.statSync(emlPath)
+// The email returned by getEmail, made of the parsed raw email and its state:
+// envelope, read, time, receivedAt, tags and relays
+function serializeEmail (id, state, parsedEmail) {
+  const envelope = state.envelope
+  const size = mailServer.storage.getRawSize(id)
 
   // serialize attachments without stream object
   const serializedAttachments =
@@ -61,12 +106,15 @@ function saveEmailToStore (id, isRead = false, envelope, parsedEmail) {
   const serialized = utils.clone(parsedEmailRemaining)
 
   serialized.id = id
-  serialized.time = parsedEmail.date ? parsedEmail.date : new Date()
-  serialized.read = isRead
+  serialized.time = state.time ? new Date(state.time) : parsedEmail.date ? parsedEmail.date : new Date()
+  serialized.receivedAt = state.receivedAt ? new Date(state.receivedAt) : new Date()
+  serialized.read = !!state.read
+  serialized.tags = state.tags || []
+  serialized.relays = state.relays || []
   serialized.envelope = envelope
-  serialized.source = path.join(mailServer.mailDir, id + '.eml')
-  serialized.size = stat.size
-  serialized.sizeHuman = utils.formatBytes(stat.size)
+  serialized.source = mailServer.storage.getRawPath(id)
+  serialized.size = size
+  serialized.sizeHuman = utils.formatBytes(size)
   serialized.attachments = serializedAttachments
   const onlyAddress = (xs) => (xs || []).map((x) => x.address)
   serialized.calculatedBcc = calculateBcc(
@@ -74,94 +122,570 @@ function saveEmailToStore (id, isRead = false, envelope, parsedEmail) {
     onlyAddress(parsedEmail.to),
     onlyAddress(parsedEmail.cc)
   )
+  serialized.snippet = utils.makeSnippet(parsedEmail.text, parsedEmail.html)
+  serialized.hasAttachments = !!serializedAttachments
+  serialized.attachmentsSize = (serializedAttachments || []).reduce(function (total, attachment) {
+    return total + (attachment.length || 0)
+  }, 0)
+  return serialized
+}
+
+// Save an email on stream end, `state` holds the envelope and the metadata
+// restored from a previous run. The storage only keeps its summary.
+function saveEmailToStore (id, state, parsedEmail, done) {
+  const serialized = serializeEmail(id, state, parsedEmail)
+
+  async.series([
+    function (next) {
+      mailServer.storage.writeMetadata(id, getMetadata(serialized), next)
+    },
+    function (next) {
+      mailServer.storage.save(utils.summarizeEmail(serialized), next)
+    }
+  ], function (err) {
+    if (err) return done(err)
+
+    logger.log('Saving email: %s, id: %s', serialized.subject, id)
+    search.add(serialized)
+
+    // Restored emails were relayed, if they had to, before the restart, and
+    // imported ones were not sent to MailDev
+    if (outgoing.isAutoRelayEnabled() && !state.restored && !state.imported) {
+      mailServer.relayMail(serialized, true, function (err) {
+        if (err) logger.error('Error when relaying email', err)
+      })
+    }
 
-  store.push(serialized)
+    eventEmitter.emit('new', serialized)
+    enforceRetention()
+    done()
+  })
+}
 
-  logger.log('Saving email: %s, id: %s', parsedEmail.subject, id)
+// Evict the emails past the retention policy, one run at a time
+let retentionRunning = false
+let retentionPending = false
 
-  if (outgoing.isAutoRelayEnabled()) {
-    mailServer.relayMail(serialized, true, function (err) {
-      if (err) logger.error('Error when relaying email', err)
+function enforceRetention () {
+  if (!retention.isEnabled()) return
+  if (retentionRunning) {
+    retentionPending = true
+    return
+  }
+  retentionRunning = true
+
+  const finish = function () {
+    retentionRunning = false
+    if (retentionPending) {
+      retentionPending = false
+      enforceRetention()
+    }
+  }
+  mailServer.storage.list(null, function (err, emails) {
+    if (err) {
+      logger.error('Error when applying the retention policy', err)
+      return finish()
+    }
+    const evictions = retention.selectEvictions(emails, Date.now())
+    async.eachSeries(evictions, function (id, next) {
+      logger.log('Evicting email %s', id)
+      mailServer.deleteEmail(id, function (err) {
+        if (err) logger.error('Error when evicting email %s', id, err)
+        next()
+      })
+    }, finish)
+  })
+}
+
+// What the raw email does not tell, kept in the `<id>.json` metadata file
+function getMetadata (email) {
+  return {
+    id: email.id,
+    time: email.time,
+    receivedAt: email.receivedAt,
+    read: email.read,
+    tags: email.tags,
+    relays: email.relays,
+    envelope: email.envelope
+  }
+}
+
+// Update an email in the storage and its metadata file, calls back with its
+// summary, null when the email is not found
+function updateEmail (id, changes, done) {
+  mailServer.storage.update(id, utils.summarizeEmail(changes), function (err, email) {
+    if (err || !email) return done(err, null)
+    mailServer.storage.readMetadata(id, function (err, metadata) {
+      if (err) return done(err)
+      const updated = Object.assign(metadata || getMetadata(email), changes)
+      mailServer.storage.writeMetadata(id, updated, function (err) {
+        done(err, err ? null : email)
+      })
+    })
+  })
+}
+
+// Load the bodies, headers and attachments of an email from its raw source
+function loadEmail (summary, done) {
+  mailServer.storage.readMetadata(summary.id, function (err, metadata) {
+    if (err) return done(err)
+    parseRawEmail(summary.id, function (err, parsedEmail, headersEnvelope) {
+      if (err) return done(err)
+      const state = Object.assign({ envelope: headersEnvelope }, metadata, {
+        time: summary.time,
+        receivedAt: summary.receivedAt,
+        read: summary.read,
+        tags: summary.tags
+      })
+      done(null, serializeEmail(summary.id, state, parsedEmail))
     })
+  })
+}
+
+// Save an attachment, `done` is called once the file is written
+function saveAttachment (id, attachment, done) {
+  done = done || function (err) {
+    if (err) logger.error(err)
   }
+  mailServer.storage.saveAttachment(id, attachment.contentId, attachment.stream, done)
+}
+
+// Remove the files of an email which was not stored
+function discardEmail (id) {
+  mailServer.storage.remove(id, function (err) {
+    if (err) logger.error(err)
+  })
+}
 
-  eventEmitter.emit('new', serialized)
+// Drop the connection of a session without replying
+function dropConnection (listener, session) {
+  listener.smtp.connections.forEach(function (connection) {
+    if (connection.session === session) connection.close()
+  })
 }
 
-// Save an attachment
-function saveAttachment (id, attachment) {
-  if (!fs.existsSync(path.join(mailServer.mailDir, id))) {
-    fs.mkdirSync(path.join(mailServer.mailDir, id))
+// Sender, recipients and client address of a session, as matched by fault rules
+function getTransaction (session) {
+  return {
+    remoteAddress: session.remoteAddress,
+    from: session.envelope.mailFrom ? session.envelope.mailFrom.address : '',
+    to: session.envelope.rcptTo.map(function (rcpt) { return rcpt.address })
+  }
+}
+
+// Count and log a connection or a message refused by the limits
+function rejectLimited (session, err) {
+  stats[err.reason === 'denied' ? 'deniedConnections' : 'rateLimited']++
+  logger.warn('Rejected SMTP client %s: %s', session.remoteAddress, err.message)
+}
+
+// Count and log a message rejected because it is over the maximum size
+function rejectOversized (session, reason) {
+  stats.oversizedMessages++
+  logger.warn('Rejected oversized message from %s: %s', session.remoteAddress, reason)
+}
+
+// Count and log the failed authentications of an onAuth callback, XOAUTH2
+// failures are answered with an error response instead of an error
+function countFailedLogins (onAuth) {
+  return function (auth, session, callback) {
+    onAuth(auth, session, function (err, response) {
+      if (err || !response.user) {
+        stats.failedLogins++
+        logger.warn('Rejected %s authentication from %s', auth.method, session.remoteAddress)
+      }
+      callback(err, response)
+    })
   }
-  const output = fs.createWriteStream(
-    path.join(mailServer.mailDir, id, attachment.contentId)
-  )
-  attachment.stream.pipe(output)
 }
 
 /**
- *  Handle smtp-server onData stream
+ * Feed the session transcripts from the commands and responses smtp-server
+ * logs
  */
-function handleDataStream (stream, session, callback) {
-  const id = utils.makeId()
+function createSmtpLogger () {
+  const noop = function () {}
+  return {
+    trace: noop,
+    info: noop,
+    warn: noop,
+    error: noop,
+    fatal: noop,
+    debug: function (entry, message, payload) {
+      if (entry.tnx === 'command') {
+        transcripts.record(entry.cid, 'C', payload)
+      }
+      if (entry.tnx === 'send') {
+        transcripts.record(entry.cid, 'S', payload)
+      }
+    }
+  }
+}
 
-  const emlStream = fs.createWriteStream(
-    path.join(mailServer.mailDir, id + '.eml')
-  )
-  emlStream.on('open', function () {
-    const parseStream = new MailParser({
-      streamAttachments: true
-    })
+/**
+ * Replaces the PROXY protocol handling of smtp-server, which only supports
+ * v1 from exact addresses. Connections of trusted proxies must start with a
+ * v1 or v2 header, other clients are served as is.
+ */
+function handleProxy (socket, callback) {
+  if (mailServer.trustedProxies.length && !cidrHelpers.contains(mailServer.trustedProxies, socket.remoteAddress)) {
+    return setImmediate(function () { callback(null, {}) })
+  }
 
-    parseStream.on(
-      'end',
-      saveEmailToStore.bind(null, id, false, {
-        from: session.envelope.mailFrom,
-        to: session.envelope.rcptTo,
-        host: session.hostNameAppearsAs,
-        remoteAddress: session.remoteAddress
-      })
-    )
-    parseStream.on('attachment', saveAttachment.bind(null, id))
+  proxyHelpers.readHeader(socket, function (err, header) {
+    if (err) {
+      logger.warn('Dropping SMTP connection from %s: %s', socket.remoteAddress, err.message)
+      return socket.destroy()
+    }
+    callback(null, header.remoteAddress
+      ? { remoteAddress: header.remoteAddress, remotePort: header.remotePort }
+      : {})
+  })
+}
 
-    stream.pipe(emlStream)
-    stream.pipe(parseStream)
+/**
+ *  Handle smtp-server onConnect, onMailFrom and onRcptTo
+ */
+function handleConnect (listener, session, callback) {
+  transcripts.start(session, listener.name)
+
+  // The connection being set up is included
+  if (mailServer.maxConnections && listener.smtp.connections.size > mailServer.maxConnections) {
+    stats.tooManyConnections++
+    logger.warn('Rejected SMTP client over the maximum of %s connections', mailServer.maxConnections)
+    const err = new Error('Too many connected clients, try again in a moment')
+    err.responseCode = 421
+    return callback(err)
+  }
 
-    stream.on('end', function () {
-      emlStream.end()
-      callback(null, 'Message queued as ' + id)
+  const err = limits.checkConnection(session.remoteAddress)
+  if (err) rejectLimited(session, err)
+  callback(err)
+}
+
+function handleMailFrom (listener, address, session, callback) {
+  const declaredSize = Number(address.args && address.args.SIZE) || 0
+  if (mailServer.maxMessageSize && declaredSize > mailServer.maxMessageSize) {
+    rejectOversized(session, 'declared size ' + declaredSize + ' over ' + mailServer.maxMessageSize + ' bytes')
+    const err = new Error('Error: message exceeds fixed maximum message size ' + mailServer.maxMessageSize)
+    err.responseCode = 552
+    return callback(err)
+  }
+
+  if (listener.clientCert === 'require' && !(session.clientCert && session.clientCert.authorized)) {
+    const err = new Error('Error: a valid client certificate is required')
+    err.responseCode = 530
+    return callback(err)
+  }
+
+  const err = limits.checkMessage(session.remoteAddress)
+  if (err) {
+    rejectLimited(session, err)
+    return callback(err)
+  }
+
+  faults.check('mail', {
+    remoteAddress: session.remoteAddress,
+    from: address.address,
+    to: [],
+    size: declaredSize
+  }, callback)
+}
+
+function handleRcptTo (address, session, callback) {
+  if (!isDomainAccepted(address.address)) {
+    return callback(blockRecipient(address.address, session))
+  }
+
+  const transaction = getTransaction(session)
+  transaction.to = [address.address]
+  faults.check('rcpt', transaction, callback)
+}
+
+// Whether the domain of a recipient matches --accept-domains, any domain when not set
+function isDomainAccepted (address) {
+  if (!mailServer.acceptDomains.length) return true
+  const domain = address.slice(address.lastIndexOf('@') + 1)
+  return mailServer.acceptDomains.some(function (pattern) {
+    return wildstring.match(pattern, domain)
+  })
+}
+
+// Record a recipient refused because of its domain, returns the 550 error
+function blockRecipient (address, session) {
+  const attempt = {
+    time: new Date(),
+    from: session.envelope.mailFrom ? session.envelope.mailFrom.address : '',
+    to: address,
+    remoteAddress: session.remoteAddress,
+    session: session.id
+  }
+  blockedAttempts.push(attempt)
+  if (blockedAttempts.length > MAX_BLOCKED_ATTEMPTS) blockedAttempts.shift()
+
+  stats.blockedRecipients++
+  logger.warn('Blocked recipient %s from %s, its domain is not accepted', address, attempt.from)
+
+  const err = new Error('Recipient domain not accepted: ' + address)
+  err.responseCode = 550
+  return err
+}
+
+// Store a received email unless a data stage fault rule refused it, LMTP
+// stores it for the accepted recipients only
+function storeEmail (id, envelope, parsedEmail, faultWatcher, session, done) {
+  if (faultWatcher.outcome && faultWatcher.outcome.error) {
+    discardEmail(id)
+    return done()
+  }
+  if (faultWatcher.outcomes) {
+    envelope.responses = getRecipientResponses(envelope.to, faultWatcher.outcomes, id)
+    envelope.to = envelope.to.filter(function (recipient, index) {
+      return envelope.responses[index].code === 250
     })
+    if (!envelope.to.length) {
+      discardEmail(id)
+      return done()
+    }
+  }
+  transcripts.addEmail(session.id, id)
+  saveEmailToStore(id, { envelope: envelope, read: false, receivedAt: new Date() }, parsedEmail, done)
+}
+
+function once (callback) {
+  let called = false
+  return function () {
+    if (called) return
+    called = true
+    callback.apply(null, arguments)
+  }
+}
+
+// Reply of each LMTP recipient after DATA, as stored in the envelope
+function getRecipientResponses (recipients, outcomes, id) {
+  return recipients.map(function (recipient, index) {
+    const err = outcomes[index] && outcomes[index].error
+    return {
+      address: recipient.address,
+      code: err ? err.responseCode : 250,
+      message: err ? err.message : 'Message queued as ' + id
+    }
   })
 }
 
 /**
- * Delete everything in the mail directory
+ *  Handle smtp-server onData stream of a given listener
  */
-function clearMailDir () {
-  fs.readdir(mailServer.mailDir, function (err, files) {
-    if (err) throw err
+function handleDataStream (listener, stream, session, callback) {
+  const id = utils.makeSortableId()
+
+  // from and to hold the ESMTP parameters of MAIL FROM and RCPT TO in `args`
+  const envelope = {
+    from: session.envelope.mailFrom,
+    to: session.envelope.rcptTo,
+    host: session.hostNameAppearsAs,
+    remoteAddress: session.remoteAddress,
+    remotePort: session.remotePort,
+    greeting: session.openingCommand,
+    protocol: session.transmissionType,
+    secure: !!session.secure,
+    tls: tlsHelpers.getSessionTls(session),
+    listener: listener.name,
+    user: session.user || false,
+    authMethod: (session.user && session.authMethod) || false,
+    clientCert: session.clientCert || false,
+    session: session.id,
+    transferMethod: stream.transferMethod || 'DATA'
+  }
+
+  let failure = null
+  const fail = function (reason, err) {
+    if (!failure) failure = reason + ': ' + err.message
+  }
+
+  // Registered before reading so the data stage outcome is known when the stream ends
+  let emlStream = null
+  const faultWatcher = faults.watchData(stream, getTransaction(session), function () {
+    // Let the pipes handle the current chunk before cutting them
+    setImmediate(function () {
+      stream.unpipe()
+      emlStream.end(function () {
+        discardEmail(id)
+      })
+      dropConnection(listener, session)
+    })
+  }, listener.lmtp)
+  transcripts.watchData(session.id, stream)
+
+  emlStream = receiveEmail(id, stream, function (receiveFailure, parsedEmail) {
+    failure = receiveFailure
+
+    // BDAT transactions end early when reset or when the connection closes
+    if (stream.aborted) {
+      discardEmail(id)
+      return callback(new Error('Transaction aborted'))
+    }
+
+    if (stream.sizeExceeded) {
+      discardEmail(id)
+      rejectOversized(session, envelope.transferMethod + ' over ' + mailServer.maxMessageSize + ' bytes')
+      const err = new Error('Error: message size exceeds fixed limit of ' + mailServer.maxMessageSize + ' bytes')
+      err.responseCode = 552
+      return callback(err)
+    }
 
-    files.forEach(function (file) {
-      rimraf(path.join(mailServer.mailDir, file), function (err) {
-        if (err) throw err
+    const stored = once(function (err) {
+      if (err) fail('storing', err)
+      if (failure) {
+        discardEmail(id)
+        logger.error('Error receiving email %s, %s', id, failure)
+        const err = new Error('Requested action aborted: error in processing')
+        err.responseCode = 451
+        return callback(err)
+      }
+
+      if (faultWatcher.outcomes) {
+        return faults.applyEach(faultWatcher.outcomes, function (errors) {
+          callback(null, errors.map(function (err) {
+            return err || 'Message queued as ' + id
+          }))
+        })
+      }
+      faults.apply(faultWatcher.outcome, function (err) {
+        if (err) return callback(err)
+        callback(null, 'Message queued as ' + id)
       })
     })
+
+    if (failure) return stored()
+    try {
+      storeEmail(id, envelope, parsedEmail, faultWatcher, session, stored)
+    } catch (err) {
+      stored(err)
+    }
   })
 }
 
 /**
- * Create mail directory
+ * Write the raw email and its attachments while parsing it. `callback(failure,
+ * parsedEmail)` is called once the stream ended, with the first failure to
+ * write or parse the email, the message is still read until its end.
+ * Returns the stream writing the raw email.
  */
+function receiveEmail (id, stream, callback) {
+  const emlStream = mailServer.storage.createRawStream(id)
+  const parseStream = new MailParser({
+    streamAttachments: true
+  })
 
-function createMailDir () {
-  if (!fs.existsSync(mailServer.mailDir)) {
-    fs.mkdirSync(mailServer.mailDir)
+  let failure = null
+  const fail = function (reason, err) {
+    if (!failure) failure = reason + ': ' + err.message
   }
+
+  async.parallel({
+    received: function (done) {
+      stream.on('end', function () { done() })
+    },
+    written: function (done) {
+      done = once(done)
+      emlStream.on('finish', function () { done() })
+      emlStream.on('error', function (err) {
+        fail('writing ' + id + '.eml', err)
+        stream.unpipe(emlStream)
+        stream.resume()
+        done()
+      })
+      stream.pipe(emlStream)
+    },
+    parsed: function (done) {
+      done = once(done)
+      let pendingAttachments = 0
+      let parsedEmail = null
+      const finish = function () {
+        if (parsedEmail && !pendingAttachments) done(null, parsedEmail)
+      }
+      parseStream.on('attachment', function (attachment) {
+        pendingAttachments++
+        saveAttachment(id, attachment, function (err) {
+          if (err) fail('writing attachment ' + attachment.contentId, err)
+          pendingAttachments--
+          finish()
+        })
+      })
+      parseStream.on('end', function (email) {
+        parsedEmail = email
+        finish()
+      })
+      parseStream.on('error', function (err) {
+        fail('parsing', err)
+        done()
+      })
+      stream.on('data', function (chunk) {
+        if (failure) return
+        try {
+          parseStream.write(chunk)
+        } catch (err) {
+          fail('parsing', err)
+          done()
+        }
+      })
+      stream.on('end', function () {
+        if (failure) return done()
+        try {
+          parseStream.end()
+        } catch (err) {
+          fail('parsing', err)
+          done()
+        }
+      })
+    }
+  }, function (_, results) {
+    callback(failure, results.parsed)
+  })
+  return emlStream
+}
+
+/**
+ * Create the storage and the mail directory
+ */
+
+function createStore (type, file, layout) {
+  mailServer.storage = createStorage(type, { dir: mailServer.mailDir, file: file, layout: layout })
+  mailServer.storage.init()
+  search.clear()
   logger.info('MailDev using directory %s', mailServer.mailDir)
+  if (mailServer.storage.file) {
+    logger.info('MailDev using %s storage %s', type, mailServer.storage.file)
+  }
 }
 
 /**
  * Create and configure the mailserver
+ *
+ * options:
+ *   tls - { starttls, secure, key, cert, ca, clientCert } of the main listener, clientCert
+ *     being 'request' or 'require' to ask for a certificate signed by the ca file
+ *   listeners - additional listeners, an array or the path to a JSON file
+ *   faultRules - fault injection rules, an array or the path to a JSON file
+ *   maxMessageSize - maximum message size in bytes or with a unit, ex. '25MB'
+ *   usersFile - htpasswd or JSON file of additional incoming SMTP accounts
+ *   oauthTokens - bearer tokens accepted with AUTH XOAUTH2
+ *   oauthPublicKey - PEM file of the public key verifying XOAUTH2 JWT bearer tokens
+ *   lmtp - the main listener speaks LMTP instead of SMTP
+ *   maxConnections - maximum number of concurrent connections of each listener
+ *   rateLimit - maximum number of messages per minute of a client address
+ *   allow - CIDR ranges of the clients allowed to connect, an array or a comma separated string
+ *   deny - CIDR ranges of the clients refused
+ *   acceptDomains - recipient domains to accept, `*` being a wildcard, others get a 550 reply
+ *   proxyProtocol - connections start with a PROXY protocol v1 or v2 header
+ *   trustedProxies - CIDR ranges of the proxies, any address when empty
+ *   storage - 'memory' (default) or 'sqlite' to keep the emails in an embedded database
+ *   storageFile - database file of the sqlite storage, `maildev.sqlite` in the mail directory by default
+ *   mailLayout - 'files' (default) or 'maildir' for a Maildir compatible mail directory
+ *   maxEmails, maxAge, maxStorage - evict the oldest emails past a count, an age, ex. '7d', or a size, ex. '2GB'
+ *   keepStarred - emails tagged 'starred' are exempt from the eviction
+ *   watchDirectory - drop folder whose new `.eml` files are imported as they are written
  */
 
 mailServer.create = function (
@@ -170,40 +694,236 @@ mailServer.create = function (
   mailDir,
   user,
   password,
-  hideExtensions
+  hideExtensions,
+  options
 ) {
+  options = options || {}
   mailServer.mailDir = mailDir || defaultMailDir
-  createMailDir()
+  createStore(options.storage || 'memory', options.storageFile, options.mailLayout)
+
+  mailServer.port = port || defaultPort
+  mailServer.host = host || defaultHost
+
+  mailServer.maxMessageSize = options.maxMessageSize ? utils.parseBytes(options.maxMessageSize) : 0
+  faults.setRules(options.faultRules || [])
+
+  mailServer.maxConnections = Number(options.maxConnections) || 0
+  mailServer.acceptDomains = options.acceptDomains || []
+  mailServer.proxyProtocol = !!options.proxyProtocol
+  mailServer.trustedProxies = cidrHelpers.parse(options.trustedProxies)
+  limits.setup({ allow: options.allow, deny: options.deny, rateLimit: options.rateLimit })
+  retention.setup({
+    maxEmails: options.maxEmails,
+    maxAge: options.maxAge,
+    maxStorage: options.maxStorage,
+    keepStarred: options.keepStarred
+  })
+
+  mailServer.watchDirectory = options.watchDirectory ? path.resolve(options.watchDirectory) : null
+  if (mailServer.watchDirectory === path.resolve(mailServer.mailDir)) {
+    throw new Error('The watched directory must not be the mail directory')
+  }
+
+  const users = options.usersFile ? smtpHelpers.readUsersFile(options.usersFile) : new Map()
+  const oauth = {
+    tokens: options.oauthTokens || [],
+    publicKey: options.oauthPublicKey ? crypto.createPublicKey(fs.readFileSync(options.oauthPublicKey)) : null
+  }
+  const hasOauth = oauth.tokens.length > 0 || !!oauth.publicKey
+  const auth = {
+    onAuth: smtpHelpers.createOnAuthCallback(user, password, users, oauth),
+    hasCredentials: !!(user && password) || users.size > 0 || hasOauth,
+    methods: ['PLAIN', 'LOGIN', 'CRAM-MD5'].concat(hasOauth ? ['XOAUTH2'] : [])
+  }
+
+  // Fail now rather than on the first BDAT when smtp-server changed
+  chunkingHelpers.checkInternals()
+
+  const mainListener = createListener({
+    port: mailServer.port,
+    host: mailServer.host,
+    hideExtensions: hideExtensions,
+    lmtp: options.lmtp
+  }, auth, options.tls)
+
+  mailServer.listeners = [mainListener].concat(
+    readListeners(options.listeners).map(function (config) {
+      return createListener(config, auth, getListenerTls(config, options.tls))
+    })
+  )
+
+  // testability requires this to be exposed.
+  // otherwise we cannot test whether error handling works
+  mailServer.smtp = mainListener.smtp
+}
+
+/**
+ * Additional listeners are given as an array or a JSON file, ex:
+ *   [{ "name": "submission", "port": 587, "host": "::", "auth": true, "tls": "starttls" },
+ *    { "name": "relay", "port": 2465, "tls": "implicit", "clientCert": "require" },
+ *    { "name": "lmtp", "port": 24, "lmtp": true, "proxyProtocol": false }]
+ */
+function readListeners (listeners) {
+  if (typeof listeners === 'string') {
+    try {
+      listeners = JSON.parse(fs.readFileSync(listeners, 'utf8'))
+    } catch (err) {
+      logger.error('Error reading listeners file at ' + listeners)
+      throw err
+    }
+  }
+  return Array.isArray(listeners) ? listeners : []
+}
+
+// Listener TLS mode is one of false, 'starttls' or 'implicit' and shares the main key, cert and CA
+function getListenerTls (config, tls) {
+  const mode = config.tls
+  if (!mode) {
+    return config.clientCert ? { clientCert: config.clientCert } : null
+  }
+  if (mode !== 'starttls' && mode !== 'implicit') {
+    throw new Error(`Invalid listener TLS mode: ${mode}`)
+  }
+  return {
+    starttls: mode === 'starttls',
+    secure: mode === 'implicit',
+    key: tls && tls.key,
+    cert: tls && tls.cert,
+    ca: tls && tls.ca,
+    clientCert: config.clientCert
+  }
+}
+
+function createListener (config, auth, tls) {
+  if (!config.port) {
+    throw new Error('SMTP listener port is required')
+  }
+
+  const listener = {
+    port: config.port,
+    host: config.host || defaultHost,
+    lmtp: !!config.lmtp,
+    proxyProtocol: typeof config.proxyProtocol === 'boolean' ? config.proxyProtocol : mailServer.proxyProtocol
+  }
+  listener.name = config.name || formatAddress(listener.host, listener.port)
+
+  listener.clientCert = (tls && tls.clientCert) || false
+  if (listener.clientCert && CLIENT_CERT_MODES.indexOf(listener.clientCert) === -1) {
+    throw new Error(`Invalid client certificate mode: ${listener.clientCert}`)
+  }
+  if (listener.clientCert && !isTlsEnabled(tls)) {
+    throw new Error(`SMTP listener ${listener.name} requires TLS for client certificates`)
+  }
+
+  // Authentication defaults to being required when credentials are configured
+  const authEnabled = typeof config.auth === 'boolean' ? config.auth : auth.hasCredentials
+  if (authEnabled && !auth.hasCredentials) {
+    throw new Error(`SMTP listener ${listener.name} requires incoming users, an incoming user and password or OAuth tokens`)
+  }
 
-  const hideExtensionOptions = getHideExtensionOptions(hideExtensions)
   const smtpServerConfig = Object.assign(
     {
-      onAuth: smtpHelpers.createOnAuthCallback(user, password),
-      onData: handleDataStream,
-      logger: false,
-      hideSTARTTLS: true,
-      disabledCommands: user && password ? ['STARTTLS'] : ['AUTH']
+      onConnect: handleConnect.bind(null, listener),
+      onClose: transcripts.end,
+      onAuth: countFailedLogins(auth.onAuth),
+      authMethods: auth.methods,
+      onMailFrom: handleMailFrom.bind(null, listener),
+      onRcptTo: handleRcptTo,
+      onData: handleDataStream.bind(null, listener),
+      logger: createSmtpLogger()
     },
-    hideExtensionOptions
+    listener.lmtp ? { lmtp: true } : {},
+    // hideSize leaves the SIZE= declarations to handleMailFrom, the EHLO
+    // reply still gets the limit from chunkingHelpers.extendConnection.
+    // The maximum of clients is checked by handleConnect.
+    mailServer.maxMessageSize ? { size: mailServer.maxMessageSize, hideSize: true } : {},
+    getTlsOptions(tls, authEnabled),
+    getHideExtensionOptions(config.hideExtensions)
   )
 
-  const smtp = new SMTPServer(smtpServerConfig)
+  listener.smtp = new SMTPServer(smtpServerConfig)
+  extendConnections(listener.smtp, function (connection) {
+    chunkingHelpers.extendConnection(connection)
+    if (listener.clientCert) tlsHelpers.watchClientCertificate(connection)
+  })
+  if (listener.clientCert && tls.secure) {
+    tlsHelpers.requestClientCertificate(listener.smtp)
+  }
+  if (listener.proxyProtocol) {
+    listener.smtp._handleProxy = handleProxy
+  }
+  listener.smtp.on('error', function (err) {
+    if (listener.onListenError) return listener.onListenError(err)
+    mailServer.onSmtpError(err)
+  })
 
-  smtp.on('error', mailServer.onSmtpError)
+  return listener
+}
 
-  mailServer.port = port || defaultPort
-  mailServer.host = host || defaultHost
+/**
+ * smtp-server has no hook for new connections, create them here to extend
+ * them before they start reading commands
+ */
+function extendConnections (smtp, extend) {
+  smtp.connect = function (socket, socketOptions) {
+    const connection = new SMTPConnection(this, socket, socketOptions)
+    extend(connection)
+    this.connections.add(connection)
+    connection.on('error', (err) => this._onError(err))
+    connection.on('connect', (data) => this._onClientConnect(data))
+    connection.init()
+  }
+}
 
-  // testability requires this to be exposed.
-  // otherwise we cannot test whether error handling works
-  mailServer.smtp = smtp
+function formatAddress (host, port) {
+  return (host.indexOf(':') > -1 ? `[${host}]` : host) + ':' + port
+}
+
+/**
+ * Without TLS, STARTTLS is never advertised and AUTH works over plain text.
+ * With TLS, STARTTLS (or implicit TLS when `secure`) is offered and AUTH is
+ * still allowed on unencrypted connections, as this is a development server.
+ */
+function getTlsOptions (tls, authEnabled) {
+  if (!isTlsEnabled(tls)) {
+    return {
+      hideSTARTTLS: true,
+      disabledCommands: authEnabled ? ['STARTTLS'] : ['AUTH']
+    }
+  }
+
+  const credentials = tlsHelpers.getCredentials(tls.key, tls.cert)
+  return Object.assign({
+    secure: !!tls.secure,
+    key: credentials.key,
+    cert: credentials.cert,
+    allowInsecureAuth: true,
+    disabledCommands: authEnabled ? [] : ['AUTH']
+  }, tls.clientCert ? getClientCertOptions(tls.ca) : {})
+}
+
+function isTlsEnabled (tls) {
+  return !!tls && !!(tls.starttls || tls.secure || tls.key || tls.cert)
+}
+
+// Client certificates are 'request'ed or 'require'd, the listener rejects
+// invalid ones after the handshake to reply with an SMTP error
+const CLIENT_CERT_MODES = ['request', 'require']
+
+function getClientCertOptions (caFile) {
+  return Object.assign({
+    requestCert: true,
+    rejectUnauthorized: false
+  }, caFile ? { ca: fs.readFileSync(caFile) } : {})
 }
 
 const HIDEABLE_EXTENSIONS = [
-  'STARTTLS', // Keep it for backward compatibility, but is overriden by hardcoded `hideSTARTTLS`
+  'STARTTLS', // Only has an effect when TLS is enabled, STARTTLS is always hidden otherwise
   'PIPELINING',
   '8BITMIME',
-  'SMTPUTF8'
+  'SMTPUTF8',
+  'CHUNKING',
+  'BINARYMIME'
 ]
 
 function getHideExtensionOptions (extensions) {
@@ -227,38 +947,91 @@ function getHideExtensionOptions (extensions) {
 
 mailServer.listen = function (callback) {
   if (typeof callback !== 'function') callback = null
+  const fail = function (err) {
+    if (callback) return callback(err)
+    mailServer.emit('error', err)
+  }
 
-  // Listen on the specified port
-  mailServer.smtp.listen(mailServer.port, mailServer.host, function (err) {
+  // Listen on the specified ports, none of them stays open when one fails
+  async.each(mailServer.listeners, listenSmtp, function (err) {
     if (err) {
-      if (callback) {
-        callback(err)
-      } else {
-        throw err
-      }
+      return closeListeners(function () { fail(err) })
     }
 
+    try {
+      startWatcher()
+    } catch (err) {
+      return closeListeners(function () { fail(err) })
+    }
+    retention.start(enforceRetention)
+    enforceRetention()
     if (callback) callback()
+  })
+}
+
+/**
+ * Import the `.eml` files written to the watched directory
+ */
+
+function startWatcher () {
+  if (!mailServer.watchDirectory) return
+  if (!fs.existsSync(mailServer.watchDirectory)) {
+    fs.mkdirSync(mailServer.watchDirectory, { recursive: true })
+  }
+  mailServer.watcher = watchDirectory(mailServer.watchDirectory, function (filePath) {
+    fs.readFile(filePath, function (err, raw) {
+      if (err) return logger.error('Error reading %s', filePath, err)
+      mailServer.importEmail(raw, null, function (err, id) {
+        if (err) return logger.error('Error importing %s', filePath, err)
+        logger.log('Imported %s as %s', filePath, id)
+      })
+    })
+  })
+  logger.info('MailDev watching %s for .eml files', mailServer.watchDirectory)
+}
+
+function closeListeners (done) {
+  async.each(mailServer.listeners, function (listener, next) {
+    if (!listener.smtp.server.listening) return next()
+    listener.smtp.close(function () { next() })
+  }, function () { done() })
+}
+
+// Errors while binding, ex. EADDRINUSE, are passed to `done` instead of
+// being thrown
+function listenSmtp (listener, done) {
+  listener.onListenError = function (err) {
+    listener.onListenError = null
+    done(err)
+  }
+  listener.smtp.listen(listener.port, listener.host, function () {
+    listener.onListenError = null
 
     logger.info(
-      'MailDev SMTP Server running at %s:%s',
-      mailServer.host,
-      mailServer.port
+      'MailDev %s Server running at %s',
+      (listener.lmtp ? 'LMTP' : 'SMTP') + (listener.smtp.options.secure ? 'S' : ''),
+      formatAddress(listener.host, listener.port)
     )
+    done()
   })
 }
 
 /**
- * Handle mailServer error
+ * Handle mailServer error, the errors of a client connection, ex. a failed
+ * TLS handshake or a reset socket, are logged and only the errors of the
+ * listeners are thrown
  */
 
 mailServer.onSmtpError = function (err) {
-  if (err.code === 'ECONNRESET' && err.syscall === 'read') {
-    logger.warn(
-      `Ignoring "${err.message}" error thrown by SMTP server. Likely the client connection closed prematurely. Full error details below.`
-    )
-    logger.error(err)
-  } else throw err
+  if (isListenerError(err)) throw err
+  logger.warn(
+    `Ignoring "${err.message}" error thrown by SMTP server. Likely a client connection failed or closed prematurely. Full error details below.`
+  )
+  logger.error(err)
+}
+
+function isListenerError (err) {
+  return err.syscall === 'listen' || err.syscall === 'bind' || LISTENER_ERRORS.indexOf(err.code) !== -1
 }
 
 /**
@@ -267,7 +1040,18 @@ mailServer.onSmtpError = function (err) {
 
 mailServer.close = function (callback) {
   mailServer.emit('close')
-  mailServer.smtp.close(callback)
+  retention.stop()
+  if (mailServer.watcher) {
+    mailServer.watcher.close()
+    mailServer.watcher = null
+  }
+  async.each(mailServer.listeners, function (listener, done) {
+    listener.smtp.close(function () { done() })
+  }, function (err) {
+    mailServer.storage.close(function (closeErr) {
+      if (callback) callback(err || closeErr)
+    })
+  })
   outgoing.close()
 }
 
@@ -275,6 +1059,7 @@ mailServer.close = function (callback) {
  * Extend Event Emitter methods
  * events:
  *   'new' - emitted when new email has arrived
+ *   'reload' - progress of the reload of the mail directory, see getReloadProgress
  */
 
 mailServer.on = eventEmitter.on.bind(eventEmitter)
@@ -288,25 +1073,26 @@ mailServer.removeAllListeners =
  */
 
 mailServer.getEmail = function (id, done) {
-  const email = store.filter(function (element) {
-    return element.id === id
-  })[0]
-
-  if (email) {
-    if (email.html) {
-      // sanitize html
-      const window = new JSDOM('').window
-      const DOMPurify = createDOMPurify(window)
-      email.html = DOMPurify.sanitize(email.html, {
-        WHOLE_DOCUMENT: true, // preserve html,head,body elements
-        SANITIZE_DOM: false, // ignore DOM cloberring to preserve form id/name attributes
-        ADD_TAGS: ['link'] // allow link element to preserve external style sheets
-      })
-    }
-    done(null, email)
-  } else {
-    done(new Error('Email was not found'))
-  }
+  mailServer.storage.get(id, function (err, summary) {
+    if (err) return done(err)
+    if (!summary) return done(new Error('Email was not found'))
+    loadEmail(summary, function (err, email) {
+      if (err) return done(err)
+      sanitizeEmail(email)
+      done(null, email)
+    })
+  })
+}
+
+function sanitizeEmail (email) {
+  if (!email.html) return
+  const window = new JSDOM('').window
+  const DOMPurify = createDOMPurify(window)
+  email.html = DOMPurify.sanitize(email.html, {
+    WHOLE_DOCUMENT: true, // preserve html,head,body elements
+    SANITIZE_DOM: false, // ignore DOM cloberring to preserve form id/name attributes
+    ADD_TAGS: ['link'] // allow link element to preserve external style sheets
+  })
 }
 
 /**
@@ -314,10 +1100,11 @@ mailServer.getEmail = function (id, done) {
  */
 
 mailServer.getRawEmail = function (id, done) {
-  mailServer.getEmail(id, function (err, email) {
+  mailServer.storage.get(id, function (err, email) {
     if (err) return done(err)
+    if (!email) return done(new Error('Email was not found'))
 
-    done(null, fs.createReadStream(path.join(mailServer.mailDir, id + '.eml')))
+    done(null, mailServer.storage.getRawStream(id))
   })
 }
 
@@ -375,82 +1162,144 @@ mailServer.getEmailHTML = function (id, baseUrl, done) {
 }
 
 /**
- * Read single email
+ * Mark an email as read and get it
  */
 
-// mailServer.readEmail = function (id, done) {
-//  var email = store.filter(function (element) {
-//    return element.id === id
-//  })[0]
-//  if (email) {
-//    email.read  = true
-//    done(null, email)
-//  } else {
-//    done(new Error('Email was not found'))
-//  }
-// }
+mailServer.readEmail = function (id, done) {
+  updateEmail(id, { read: true }, function (err) {
+    if (err) return done(err)
+    mailServer.getEmail(id, done)
+  })
+}
 
 /**
  * Read all emails
  */
 
 mailServer.readAllEmail = function (done) {
-  const allUnread = store.filter(function (element) {
-    return !element.read
+  mailServer.storage.list({ read: false }, function (err, allUnread) {
+    if (err) return done(err)
+
+    async.eachSeries(allUnread, function (email, next) {
+      updateEmail(email.id, { read: true }, next)
+    }, function (err) {
+      if (err) return done(err)
+      done(null, allUnread.length)
+    })
   })
-  for (const email of allUnread) {
-    email.read = true
+}
+
+/**
+ * Get all email, or the ones matching a query of utils.filterEmails, their
+ * bodies being loaded from the raw emails
+ */
+
+mailServer.getAllEmail = function (query, done) {
+  if (typeof query === 'function') {
+    done = query
+    query = null
   }
-  done(null, allUnread.length)
+  listEmails(query, true, done)
 }
 
 /**
- * Get all email
+ * Get the summaries of all email, or of the ones matching a query, see
+ * utils.summaryFields
  */
 
-mailServer.getAllEmail = function (done) {
-  done(null, store)
+mailServer.getEmailSummaries = function (query, done) {
+  if (typeof query === 'function') {
+    done = query
+    query = null
+  }
+  listEmails(query, false, done)
 }
 
 /**
- * Delete an email by id
+ * A page of the emails matching a query, `options` holding `full`, `search`
+ * and the pagination of helpers/pagination. Calls back with `{ emails, total,
+ * nextCursor }`, the emails being summaries unless `full` is set. With a
+ * full-text `search`, ex. `from:bodhi "big wave"`, the emails of the page get
+ * the `highlights` of their matching fields.
  */
 
-mailServer.deleteEmail = function (id, done) {
-  let email = null
-  let emailIndex = null
+mailServer.getEmailPage = function (query, options, done) {
+  listPage(query, options, function (err, page, matching) {
+    if (err) return done(err)
+    if (!options.full && !matching) return done(null, page)
 
-  store.forEach(function (element, index) {
-    if (element.id === id) {
-      email = element
-      emailIndex = index
-    }
+    async.mapLimit(page.emails, PARSE_CONCURRENCY, loadEmail, function (err, emails) {
+      if (err) return done(err)
+      emails = emails.map(function (email, i) {
+        if (!matching) return email
+        const highlighted = options.full ? email : Object.assign({}, page.emails[i])
+        highlighted.highlights = search.highlight(email, options.search)
+        return highlighted
+      })
+      done(null, Object.assign(page, { emails: emails }))
+    })
   })
+}
 
-  if (emailIndex === null) {
-    return done(new Error('Email not found'))
-  }
+// A page of the summaries matching a query and a search, calls back with the
+// ids found by the search too, null without search
+function listPage (query, options, done) {
+  listEmails(query, false, function (err, summaries) {
+    if (err) return done(err)
+    const matching = options.search ? search.query(options.search) : null
+    if (matching) {
+      summaries = summaries.filter(function (summary) { return matching.has(summary.id) })
+    }
+    done(null, paginationHelpers.paginate(summaries, options), matching)
+  })
+}
 
-  // delete raw email
-  fs.unlink(path.join(mailServer.mailDir, id + '.eml'), function (err) {
-    if (err) {
-      logger.error(err)
+// The storage filters the summaries, the emails are loaded to match the
+// other fields of the query, ex. `headers.x-mailer`
+function listEmails (query, full, done) {
+  const summaryQuery = {}
+  let bodyQuery = null
+  Object.keys(query || {}).forEach(function (key) {
+    if (utils.summaryFields.indexOf(key.split('.')[0]) !== -1) {
+      summaryQuery[key] = query[key]
     } else {
-      eventEmitter.emit('delete', { id: id, index: emailIndex })
+      bodyQuery = bodyQuery || {}
+      bodyQuery[key] = query[key]
     }
   })
 
-  if (email.attachments) {
-    rimraf(path.join(mailServer.mailDir, id), function (err) {
-      if (err) throw err
+  mailServer.storage.list(query ? summaryQuery : null, function (err, summaries) {
+    if (err) return done(err)
+    if (!full && !bodyQuery) return done(null, summaries)
+
+    async.mapLimit(summaries, PARSE_CONCURRENCY, loadEmail, function (err, emails) {
+      if (err) return done(err)
+      if (bodyQuery) emails = utils.filterEmails(emails, bodyQuery)
+      done(null, full ? emails : emails.map(utils.summarizeEmail))
     })
-  }
+  })
+}
 
-  logger.warn('Deleting email - %s', email.subject)
+/**
+ * Delete an email by id
+ */
 
-  store.splice(emailIndex, 1)
+mailServer.deleteEmail = function (id, done) {
+  mailServer.storage.get(id, function (err, email) {
+    if (err) return done(err)
+    if (!email) return done(new Error('Email not found'))
 
-  done(null, true)
+    logger.warn('Deleting email - %s', email.subject)
+
+    mailServer.storage.delete(id, function (err, emailIndex) {
+      if (err) return done(err)
+      if (emailIndex === -1) return done(new Error('Email not found'))
+
+      search.remove(id)
+      eventEmitter.emit('delete', { id: id, index: emailIndex, read: !!email.read })
+      done(null, true)
+    })
+  })
 }
 
 /**
@@ -460,11 +1309,13 @@ mailServer.deleteEmail = function (id, done) {
 mailServer.deleteAllEmail = function (done) {
   logger.warn('Deleting all email')
 
-  clearMailDir()
-  store.length = 0
-  eventEmitter.emit('delete', { id: 'all' })
+  mailServer.storage.deleteAll(function (err) {
+    if (err) return done(err)
+    search.clear()
 
-  done(null, true)
+    eventEmitter.emit('delete', { id: 'all' })
+    done(null, true)
+  })
 }
 
 /**
@@ -490,11 +1341,59 @@ mailServer.getEmailAttachment = function (id, filename, done) {
     done(
       null,
       match.contentType,
-      fs.createReadStream(path.join(mailServer.mailDir, id, match.contentId))
+      mailServer.storage.getAttachmentStream(id, match.contentId)
     )
   })
 }
 
+/**
+ * Get the counters of rejected SMTP attempts
+ */
+mailServer.getStats = function (done) {
+  done(null, stats)
+}
+
+/**
+ * Get the transcripts of the recent SMTP sessions, or of a given session
+ */
+mailServer.getTranscripts = function (done) {
+  done(null, transcripts.getAll())
+}
+
+mailServer.getTranscript = function (id, done) {
+  const transcript = transcripts.get(id)
+  if (!transcript) return done(new Error('Transcript not found'))
+  done(null, transcript)
+}
+
+/**
+ * Get and clear the recipients refused because of --accept-domains
+ */
+mailServer.getBlockedAttempts = function (done) {
+  done(null, blockedAttempts)
+}
+
+mailServer.clearBlockedAttempts = function (done) {
+  blockedAttempts.length = 0
+  done(null, true)
+}
+
+/**
+ * Get and replace the SMTP fault injection rules
+ */
+mailServer.getFaultRules = function (done) {
+  done(null, faults.getRules())
+}
+
+mailServer.setFaultRules = function (rules, done) {
+  try {
+    faults.setRules(rules)
+  } catch (err) {
+    return done(err)
+  }
+  done(null, faults.getRules())
+}
+
 /**
  * Setup outgoing
  */
@@ -550,7 +1449,155 @@ mailServer.relayMail = function (idOrMailObject, isAutoRelay, done) {
       return done(err)
     }
 
-    outgoing.relayMail(mail, rawEmailStream, isAutoRelay, done)
+    const recipients = outgoing.getRecipients(mail, isAutoRelay)
+    outgoing.relayMail(mail, rawEmailStream, isAutoRelay, function (err) {
+      recordRelay(mail.id, {
+        time: new Date().toISOString(),
+        host: outgoing.getOutgoingHost(),
+        to: recipients,
+        auto: !!isAutoRelay,
+        error: err ? String(err.message || err) : false
+      }, function (recordErr) {
+        if (recordErr) logger.error('Error when recording the relay of email %s', mail.id, recordErr)
+        done(err)
+      })
+    })
+  })
+}
+
+// Append an attempt to the relay history of an email
+function recordRelay (id, relay, done) {
+  mailServer.storage.readMetadata(id, function (err, metadata) {
+    if (err) return done(err)
+    const relays = (metadata && metadata.relays) || []
+    updateEmail(id, { relays: relays.concat([relay]) }, done)
+  })
+}
+
+/**
+ * Replace the tags of an email, an array of strings
+ */
+mailServer.setEmailTags = function (id, tags, done) {
+  const valid = Array.isArray(tags) && tags.every(function (tag) {
+    return typeof tag === 'string' && tag.trim() !== ''
+  })
+  if (!valid) return done(new Error('Tags must be an array of non empty strings'))
+
+  const unique = tags.map(function (tag) { return tag.trim() }).filter(function (tag, index, all) {
+    return all.indexOf(tag) === index
+  })
+  updateEmail(id, { tags: unique }, function (err, email) {
+    if (err) return done(err)
+    if (!email) return done(new Error('Email was not found'))
+    done(null, email.tags)
+  })
+}
+
+/**
+ * Import a raw email through the same parsing and storage as SMTP, the
+ * envelope is made of the sender given, ex. by the mbox separator line, and
+ * the recipients in the headers
+ */
+mailServer.importEmail = function (raw, sender, done) {
+  const id = utils.makeSortableId()
+  const stream = new PassThrough()
+
+  receiveEmail(id, stream, function (failure, parsedEmail) {
+    if (failure) {
+      discardEmail(id)
+      return done(new Error('Error importing email: ' + failure))
+    }
+
+    const toEnvelopeAddress = function (address) {
+      return { address: address.address, args: false }
+    }
+    const from = sender || (parsedEmail.from && parsedEmail.from[0] && parsedEmail.from[0].address)
+    const envelope = {
+      from: from ? { address: from, args: false } : false,
+      to: [].concat(parsedEmail.to || [], parsedEmail.cc || [], parsedEmail.bcc || []).map(toEnvelopeAddress),
+      host: null,
+      remoteAddress: null,
+      transferMethod: 'import'
+    }
+    try {
+      const state = { envelope: envelope, read: false, receivedAt: new Date(), imported: true }
+      saveEmailToStore(id, state, parsedEmail, function (err) {
+        if (err) {
+          discardEmail(id)
+          return done(err)
+        }
+        done(null, id)
+      })
+    } catch (err) {
+      discardEmail(id)
+      done(err)
+    }
+  })
+  stream.end(raw)
+}
+
+/**
+ * Import the messages of an mbox stream, calls back with the ids of the
+ * imported emails and the number of messages which could not be imported
+ */
+mailServer.importMbox = function (input, done) {
+  const ids = []
+  let failed = 0
+  const parser = mboxHelpers.createParser(function (message, next) {
+    mailServer.importEmail(message.raw, message.sender, function (err, id) {
+      if (err) {
+        logger.error('Error importing a message from %s', message.sender, err)
+        failed++
+      } else {
+        ids.push(id)
+      }
+      next()
+    })
+  })
+  done = once(done)
+  input.on('error', done)
+  parser.on('error', done)
+  parser.on('finish', function () {
+    logger.info('Imported %s emails, %s failed', ids.length, failed)
+    done(null, ids, failed)
+  })
+  input.pipe(parser)
+}
+
+/**
+ * Returns a readable stream of the emails matching a query, see
+ * getAllEmail, in mbox format. `options` holds the pagination and the search
+ * of getEmailPage.
+ */
+mailServer.exportMbox = function (query, options, done) {
+  if (typeof options === 'function') {
+    done = options
+    options = null
+  }
+  listPage(query, options || paginationHelpers.parse({}), function (err, page) {
+    if (err) return done(err)
+    const emails = page.emails
+
+    let index = 0
+    const output = new Readable({
+      read () {
+        if (index >= emails.length) return this.push(null)
+        const email = emails[index++]
+        mailServer.storage.readMetadata(email.id, (err, metadata) => {
+          if (err) return this.destroy(err)
+          const envelope = (metadata && metadata.envelope) || {}
+          const sender = envelope.from && envelope.from.address
+          const chunks = []
+          mailServer.storage.getRawStream(email.id)
+            .on('data', function (chunk) { chunks.push(chunk) })
+            .on('error', (err) => this.destroy(err))
+            .on('end', () => {
+              this.push(mboxHelpers.formatMessage(sender, email.time, Buffer.concat(chunks)))
+            })
+        })
+      }
+    })
+    done(null, output)
   })
 }
 
@@ -567,53 +1614,171 @@ mailServer.getEmailEml = function (id, done) {
       null,
       'message/rfc822',
       filename,
-      fs.createReadStream(path.join(mailServer.mailDir, id + '.eml'))
+      mailServer.storage.getRawStream(id)
     )
   })
 }
 
-mailServer.loadMailsFromDirectory = function () {
-  const persistencePath = fs.realpathSync(mailServer.mailDir)
-  fs.readdir(persistencePath, function (err, files) {
-    if (err) {
-      logger.error('Error during reading of the mailDir %s', persistencePath)
-    } else {
-      store.length = 0
-      files.forEach(function (file) {
-        const filePath = persistencePath + '/' + file
-        if (path.parse(file).ext === '.eml') {
-          fs.readFile(filePath, 'utf8', function (err, data) {
-            if (err) {
-              logger.error('Error during reading of the file %s', filePath)
-            } else {
-              const idMail = path.parse(file).name
-              const parseStream = new MailParser({
-                streamAttachments: true
-              })
-              logger.log('Restore mail %s', idMail)
-              const envelope = {
-                from: '',
-                to: '',
-                host: 'undefined',
-                remoteAddress: 'undefined'
-              }
-              parseStream.on('from', function (from) {
-                envelope.from = from
-              })
-              parseStream.on('to', function (to) {
-                envelope.to = to
-              })
-              parseStream.on(
-                'end',
-                saveEmailToStore.bind(null, idMail, true, envelope)
-              )
-              parseStream.on('attachment', saveAttachment.bind(null, idMail))
-              parseStream.write(data)
-              parseStream.end()
-            }
-          })
+/**
+ * Parse the raw emails of the mail directory which are not in the storage yet,
+ * ex. copied there or kept from a previous run with the memory storage.
+ * Calls back with the progress once done, joining a reload already running.
+ */
+mailServer.loadMailsFromDirectory = function (done) {
+  done = done || function () {}
+  if (reload.running) {
+    reloadCallbacks.push(done)
+    return
+  }
+  reloadCallbacks = [done]
+  reload = {
+    running: true,
+    total: 0,
+    loaded: 0,
+    skipped: 0,
+    failed: 0,
+    startedAt: new Date(),
+    finishedAt: null
+  }
+  emitReloadProgress()
+
+  mailServer.storage.listIds(function (err, ids) {
+    if (err) return finishReload(err)
+    reload.total = ids.length
+    emitReloadProgress()
+
+    async.eachLimit(ids, PARSE_CONCURRENCY, function (idMail, next) {
+      mailServer.storage.get(idMail, function (err, email) {
+        if (err) return next(err)
+        if (email) {
+          reload.skipped++
+          return indexEmail(email, function () { reloadProgressed(next) })
         }
+        loadMail(idMail, function (err) {
+          if (err) {
+            logger.error('Error during restoring of the mail %s', idMail, err)
+            reload.failed++
+          } else {
+            reload.loaded++
+          }
+          reloadProgressed(next)
+        })
       })
+    }, finishReload)
+  })
+}
+
+// Emails kept in a SQLite file across restarts are known to the storage but
+// not to the search index yet
+function indexEmail (summary, done) {
+  if (search.has(summary.id)) return done()
+  loadEmail(summary, function (err, email) {
+    if (err) logger.error('Error when indexing the mail %s', summary.id, err)
+    else search.add(email)
+    done()
+  })
+}
+
+/**
+ * Progress of the last reload of the mail directory
+ */
+
+mailServer.getReloadProgress = function () {
+  return Object.assign({}, reload)
+}
+
+function emitReloadProgress () {
+  eventEmitter.emit('reload', mailServer.getReloadProgress())
+}
+
+function reloadProgressed (next) {
+  const processed = reload.loaded + reload.skipped + reload.failed
+  if (processed % RELOAD_PROGRESS_INTERVAL === 0) emitReloadProgress()
+  // Skipped emails call back synchronously, the stack does not grow
+  setImmediate(next)
+}
+
+function finishReload (err) {
+  if (err) logger.error('Error during loading of the mailDir %s', mailServer.mailDir, err)
+  reload.running = false
+  reload.finishedAt = new Date()
+  logger.info('Loaded %s emails from %s, %s failed', reload.loaded, mailServer.mailDir, reload.failed)
+  emitReloadProgress()
+
+  const callbacks = reloadCallbacks
+  reloadCallbacks = []
+  callbacks.forEach(function (callback) {
+    callback(err || null, mailServer.getReloadProgress())
+  })
+}
+
+function loadMail (idMail, done) {
+  mailServer.storage.readMetadata(idMail, function (err, metadata) {
+    if (err) logger.error('Error during reading of the metadata of the mail %s', idMail, err)
+    restoreMail(idMail, metadata, done)
+  })
+}
+
+// Emails without metadata file, ex. copied to the mail directory, get an
+// envelope made of their headers, are received when their file was written
+// and are marked as read, unless the Seen flag of a Maildir says otherwise
+function restoreMail (idMail, metadata, done) {
+  logger.log('Restore mail %s', idMail)
+  const state = Object.assign({ read: true }, metadata, mailServer.storage.getFlags(idMail), { restored: true })
+  parseRawEmail(idMail, function (err, parsedEmail, headersEnvelope) {
+    if (err) return done(err)
+    state.envelope = state.envelope || headersEnvelope
+    try {
+      state.receivedAt = state.receivedAt || mailServer.storage.getRawTime(idMail)
+      saveEmailToStore(idMail, state, parsedEmail, done)
+    } catch (err) {
+      done(err)
     }
   })
 }
+
+// Stream a raw email of the storage to the parser, its attachments are only
+// written when missing. Calls back with the parsed email and an envelope made
+// of its headers.
+function parseRawEmail (idMail, done) {
+  done = once(done)
+  const input = mailServer.storage.getRawStream(idMail)
+  const parseStream = new MailParser({
+    streamAttachments: true
+  })
+  const envelope = {
+    from: '',
+    to: '',
+    host: 'undefined',
+    remoteAddress: 'undefined'
+  }
+  parseStream.on('from', function (from) {
+    envelope.from = from
+  })
+  parseStream.on('to', function (to) {
+    envelope.to = to
+  })
+
+  // The end of the parsing and the attachments being written
+  let pending = 1
+  let parsedEmail = null
+  const finish = function () {
+    if (--pending) return
+    done(null, parsedEmail, envelope)
+  }
+  parseStream.on('attachment', function (attachment) {
+    // The attachment streams of the parser flow without a reader
+    if (mailServer.storage.hasAttachment(idMail, attachment.contentId)) return
+    pending++
+    saveAttachment(idMail, attachment, function (err) {
+      if (err) logger.error('Error during writing of the attachment %s', attachment.contentId, err)
+      finish()
+    })
+  })
+  parseStream.on('end', function (parsed) {
+    parsedEmail = parsed
+    finish()
+  })
+  input.on('error', done)
+  input.pipe(parseStream)
+}
@@ -3,9 +3,23 @@ module.exports.options = [
   ['-s, --smtp <port>', 'MAILDEV_SMTP_PORT', 'SMTP port to catch emails', '1025'],
   ['-w, --web <port>', 'MAILDEV_WEB_PORT', 'Port to run the Web GUI', '1080'],
   ['--mail-directory <path>', 'MAILDEV_MAIL_DIRECTORY', 'Directory for persisting mails'],
+  ['--mail-layout <layout>', 'MAILDEV_MAIL_LAYOUT', 'Layout of --mail-directory: files or maildir', 'files'],
+  ['--storage <type>', 'MAILDEV_STORAGE', 'Storage of the received emails: memory or sqlite', 'memory'],
+  ['--storage-file <file>', 'MAILDEV_STORAGE_FILE', 'Database file of the sqlite storage, defaults to maildev.sqlite in --mail-directory'],
+  ['--watch-directory <path>', 'MAILDEV_WATCH_DIRECTORY', 'Import the .eml files written to this directory as they arrive'],
   ['--https', 'MAILDEV_HTTPS', 'Switch from http to https protocol', false],
   ['--https-key <file>', 'MAILDEV_HTTPS_KEY', 'The file path to the ssl private key'],
   ['--https-cert <file>', 'MAILDEV_HTTPS_CERT', 'The file path to the ssl cert file'],
+  ['--smtp-starttls', 'MAILDEV_SMTP_STARTTLS', 'Advertise STARTTLS, using a self-signed cert unless --smtp-tls-key/cert are set', false],
+  ['--smtp-secure', 'MAILDEV_SMTP_SECURE', 'Use implicit TLS (SMTPS, port 465 style) on the SMTP port', false],
+  ['--smtp-tls-key <file>', 'MAILDEV_SMTP_TLS_KEY', 'The file path to the SMTP TLS private key, enables STARTTLS'],
+  ['--smtp-tls-cert <file>', 'MAILDEV_SMTP_TLS_CERT', 'The file path to the SMTP TLS cert file, enables STARTTLS'],
+  ['--smtp-tls-ca <file>', 'MAILDEV_SMTP_TLS_CA', 'CA bundle checking the SMTP client certificates'],
+  ['--smtp-client-cert <mode>', 'MAILDEV_SMTP_CLIENT_CERT', 'Ask SMTP clients for a TLS certificate: request or require'],
+  ['--smtp-listeners <file>', 'MAILDEV_SMTP_LISTENERS', 'JSON file describing additional SMTP listeners'],
+  ['--lmtp', 'MAILDEV_LMTP', 'Speak LMTP instead of SMTP on the SMTP port, replying per recipient after DATA', false],
+  ['--smtp-proxy-protocol', 'MAILDEV_SMTP_PROXY_PROTOCOL', 'Read the client address from a PROXY protocol v1 or v2 header', false],
+  ['--smtp-trusted-proxies <cidrs>', 'MAILDEV_SMTP_TRUSTED_PROXIES', 'Comma separated CIDR ranges of the proxies sending a PROXY header, defaults to any'],
   ['--ip <ip address>', 'MAILDEV_IP', 'IP Address to bind SMTP service to', '0.0.0.0'],
   ['--outgoing-host <host>', 'MAILDEV_OUTGOING_HOST', 'SMTP host for outgoing emails'],
   ['--outgoing-port <port>', 'MAILDEV_OUTGOING_PORT', 'SMTP port for outgoing emails'],
@@ -14,16 +28,45 @@ module.exports.options = [
   ['--outgoing-secure', 'MAILDEV_OUTGOING_SECURE', 'Use SMTP SSL for outgoing emails', false],
   ['--auto-relay [email]', 'MAILDEV_AUTO_RELAY', 'Use auto-relay mode. Optional relay email address'],
   ['--auto-relay-rules <file>', 'MAILDEV_AUTO_RELAY_RULES', 'Filter rules for auto relay mode'],
+  ['--smtp-max-connections <count>', 'MAILDEV_SMTP_MAX_CONNECTIONS', 'Maximum number of concurrent SMTP connections of each listener'],
+  ['--smtp-rate-limit <count>', 'MAILDEV_SMTP_RATE_LIMIT', 'Maximum number of messages per minute from a client address'],
+  ['--smtp-allow <cidrs>', 'MAILDEV_SMTP_ALLOW', 'Comma separated CIDR ranges of the SMTP clients allowed to connect'],
+  ['--smtp-deny <cidrs>', 'MAILDEV_SMTP_DENY', 'Comma separated CIDR ranges of the SMTP clients refused at connect time'],
+  ['--accept-domains <domains>',
+    'MAILDEV_ACCEPT_DOMAINS',
+    'Comma separated recipient domains to accept, ex. *.test, others are rejected with 550',
+    [],
+    function (val) {
+      return val.split(',').map(function (domain) { return domain.trim() })
+    }
+  ],
+  ['--max-emails <count>', 'MAILDEV_MAX_EMAILS', 'Maximum number of emails kept, the oldest are deleted'],
+  ['--max-age <duration>', 'MAILDEV_MAX_AGE', 'Maximum age of the emails kept, ex. 12h or 7d'],
+  ['--max-storage <size>', 'MAILDEV_MAX_STORAGE', 'Maximum disk usage of the emails kept, ex. 2GB'],
+  ['--keep-starred', 'MAILDEV_KEEP_STARRED', 'Never delete the emails tagged starred because of --max-emails, --max-age or --max-storage', false],
+  ['--max-message-size <size>', 'MAILDEV_MAX_MESSAGE_SIZE', 'Maximum size of incoming messages, ex. 25MB, advertised with SIZE'],
+  ['--fault-rules <file>', 'MAILDEV_FAULT_RULES', 'Rules to answer matching SMTP commands with errors or delays'],
   ['--incoming-user <user>', 'MAILDEV_INCOMING_USER', 'SMTP user for incoming emails'],
   ['--incoming-pass <pass>', 'MAILDEV_INCOMING_PASS', 'SMTP password for incoming emails'],
+  ['--incoming-users-file <file>', 'MAILDEV_INCOMING_USERS_FILE', 'htpasswd or JSON file of SMTP users for incoming emails'],
+  ['--incoming-oauth-tokens <tokens>',
+    'MAILDEV_INCOMING_OAUTH_TOKENS',
+    'Comma separated bearer tokens accepted with SMTP AUTH XOAUTH2',
+    [],
+    function (val) {
+      return val.split(',').map(function (token) { return token.trim() }).filter(Boolean)
+    }
+  ],
+  ['--incoming-oauth-public-key <file>', 'MAILDEV_INCOMING_OAUTH_PUBLIC_KEY', 'PEM public key verifying JWT bearer tokens of SMTP AUTH XOAUTH2'],
   ['--web-ip <ip address>', 'MAILDEV_WEB_IP', 'IP Address to bind HTTP service to, defaults to --ip'],
+  ['--web-trusted-proxies <cidrs>', 'MAILDEV_WEB_TRUSTED_PROXIES', 'Comma separated CIDR ranges of the proxies whose X-Forwarded-For is trusted'],
   ['--web-user <user>', 'MAILDEV_WEB_USER', 'HTTP user for GUI'],
   ['--web-pass <password>', 'MAILDEV_WEB_PASS', 'HTTP password for GUI'],
   ['--base-pathname <path>', 'MAILDEV_BASE_PATHNAME', 'Base path for URLs'],
   ['--disable-web', 'MAILDEV_DISABLE_WEB', 'Disable the use of the web interface. Useful for unit testing', false],
   ['--hide-extensions <extensions>',
     'MAILDEV_HIDE_EXTENSIONS',
-    'Comma separated list of SMTP extensions to NOT advertise (SMTPUTF8, PIPELINING, 8BITMIME)',
+    'Comma separated list of SMTP extensions to NOT advertise (SMTPUTF8, PIPELINING, 8BITMIME, CHUNKING, BINARYMIME)',
     [],
     function (val) {
       return val.split(',')
@@ -31,7 +74,7 @@ module.exports.options = [
   ],
   ['-v, --verbose'],
   ['--silent'],
-  ['--log-mail-contents', 'Log a JSON representation of each incoming email']
+  ['--log-mail-contents', null, 'Log a JSON representation of each incoming email']
 ]
 
 module.exports.appendOptions = function (program, options) {
@@ -136,6 +136,14 @@ outgoing.relayMail = function (emailObject, emailStream, isAutoRelay, callback)
   })
 }
 
+// Addresses an email is relayed to, the email keeps its own recipients
+outgoing.getRecipients = function (emailObject, isAutoRelay) {
+  const recipients = isAutoRelay && config.autoRelayAddress
+    ? [config.autoRelayAddress]
+    : emailObject.envelope.to.map(getAddressFromAddressObject)
+  return isAutoRelay && config.autoRelayRules ? getAutoRelayableRecipients(recipients) : recipients
+}
+
 outgoing.getClient = function () {
   return client
 }
@@ -147,15 +155,7 @@ outgoing.getConfig = function () {
 function relayMail (emailObject, emailStream, isAutoRelay, done) {
   if (!client) { return done(new Error('Outgoing mail not configured')) }
 
-  if (isAutoRelay && config.autoRelayAddress) {
-    emailObject.to = [{ address: config.autoRelayAddress }]
-    emailObject.envelope.to = [{ address: config.autoRelayAddress, args: false }]
-  }
-
-  let recipients = emailObject.envelope.to.map(getAddressFromAddressObject)
-  if (isAutoRelay && config.autoRelayRules) {
-    recipients = getAutoRelayableRecipients(recipients)
-  }
+  const recipients = outgoing.getRecipients(emailObject, isAutoRelay)
 
   // Fail silently with auth relay mode on
   if (recipients.length === 0) {
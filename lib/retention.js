@@ -0,0 +1,125 @@
+'use strict'
+
+/**
+ * MailDev - retention.js
+ *
+ * Eviction of the oldest emails past a maximum count, age or disk usage.
+ */
+
+const utils = require('./utils')
+const logger = require('./logger')
+
+// Interval of the checks of the maximum age
+const MAX_CHECK_INTERVAL = 60 * 1000
+
+const STARRED_TAG = 'starred'
+
+const policy = {
+  maxEmails: 0,
+  maxAge: 0,
+  maxStorage: 0,
+  keepStarred: false
+}
+
+let timer = null
+
+/**
+ * Retention exports
+ */
+
+const retention = module.exports = {}
+
+/**
+ * options:
+ *   maxEmails - maximum number of emails
+ *   maxAge - maximum age of the emails in milliseconds or with a unit, ex. '7d'
+ *   maxStorage - maximum disk usage of the emails in bytes or with a unit, ex. '2GB'
+ *   keepStarred - emails tagged 'starred' are never evicted and not counted
+ */
+retention.setup = function (options) {
+  options = options || {}
+  policy.maxEmails = Number(options.maxEmails) || 0
+  policy.maxAge = options.maxAge ? utils.parseDuration(options.maxAge) : 0
+  policy.maxStorage = options.maxStorage ? utils.parseBytes(options.maxStorage) : 0
+  policy.keepStarred = !!options.keepStarred
+
+  if (retention.isEnabled()) {
+    logger.info('MailDev keeping at most %s emails, %s old, %s%s',
+      policy.maxEmails || 'any number of',
+      policy.maxAge ? options.maxAge : 'of any age',
+      policy.maxStorage ? utils.formatBytes(policy.maxStorage) : 'of any size',
+      policy.keepStarred ? ', starred emails excepted' : '')
+  }
+}
+
+retention.isEnabled = function () {
+  return !!(policy.maxEmails || policy.maxAge || policy.maxStorage)
+}
+
+retention.getPolicy = function () {
+  return Object.assign({}, policy)
+}
+
+/**
+ * Ids of the emails to evict, the first received first. The age of an email
+ * is counted from its receipt, not from its Date header.
+ */
+retention.selectEvictions = function (emails, now) {
+  const candidates = emails.filter(function (email) {
+    return !(policy.keepStarred && isStarred(email))
+  }).map(function (email, index) {
+    return { id: email.id, time: utils.getReceivedTime(email), size: getDiskUsage(email), index: index }
+  }).sort(function (a, b) {
+    return (a.time - b.time) || (a.index - b.index)
+  })
+
+  const evicted = []
+  let remaining = candidates
+  if (policy.maxAge) {
+    remaining = candidates.filter(function (email) {
+      if (now - email.time <= policy.maxAge) return true
+      evicted.push(email.id)
+      return false
+    })
+  }
+  if (policy.maxEmails) {
+    while (remaining.length > policy.maxEmails) {
+      evicted.push(remaining.shift().id)
+    }
+  }
+  if (policy.maxStorage) {
+    let usage = remaining.reduce(function (total, email) { return total + email.size }, 0)
+    while (usage > policy.maxStorage && remaining.length) {
+      const email = remaining.shift()
+      usage -= email.size
+      evicted.push(email.id)
+    }
+  }
+  return evicted
+}
+
+/**
+ * Call `enforce` in the background while a maximum age is set, new emails
+ * are checked as they arrive
+ */
+retention.start = function (enforce) {
+  retention.stop()
+  if (!policy.maxAge) return
+
+  timer = setInterval(enforce, Math.min(policy.maxAge, MAX_CHECK_INTERVAL))
+  timer.unref()
+}
+
+retention.stop = function () {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+function isStarred (email) {
+  return Array.isArray(email.tags) && email.tags.indexOf(STARRED_TAG) !== -1
+}
+
+// The raw email and its attachments
+function getDiskUsage (email) {
+  return (email.size || 0) + (email.attachmentsSize || 0)
+}
@@ -6,7 +6,20 @@
 const express = require('express')
 const compression = require('compression')
 const pkg = require('../package.json')
-const { filterEmails } = require('./utils')
+const paginationHelpers = require('./helpers/pagination')
+
+// Filters, pagination and search of the email lists, ex. `{ subject:
+// 'Wipeout', limit: '50', q: 'from:bodhi' }`, throws on invalid parameters
+function parseListQuery (params) {
+  const query = Object.assign({}, params)
+  const options = paginationHelpers.parse(query)
+  options.full = query.full === 'true'
+  options.search = typeof query.q === 'string' ? query.q : null
+  paginationHelpers.params.concat(['full', 'q']).forEach(function (param) {
+    delete query[param]
+  })
+  return { query: query, options: options }
+}
 
 const emailRegexp = /^(([^<>()[\]\\.,;:\s@"]+(\.[^<>()[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
 
@@ -14,25 +27,56 @@ module.exports = function (app, mailserver, basePathname) {
   const router = express.Router()
 
   // Get all emails
+  // Summaries of the emails unless `full=true`, see utils.summaryFields, and
+  // helpers/pagination for the parameters of the pages
   router.get('/email', compression(), function (req, res) {
-    mailserver.getAllEmail(function (err, emailList) {
+    let list
+    try {
+      list = parseListQuery(req.query)
+    } catch (err) {
+      return res.status(400).json({ error: err.message })
+    }
+
+    mailserver.getEmailPage(list.query, list.options, function (err, page) {
       if (err) return res.status(404).json([])
-      if (req.query) {
-        const filteredEmails = filterEmails(emailList, req.query)
-        res.json(filteredEmails)
-      } else {
-        res.json(emailList)
-      }
+      res.set('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor')
+      res.set('X-Total-Count', String(page.total))
+      if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor)
+      res.json(page.emails)
+    })
+  })
+
+  // Export the emails in mbox format, with the filters of GET /email
+  router.get('/email/export.mbox', compression(), function (req, res) {
+    let list
+    try {
+      list = parseListQuery(req.query)
+    } catch (err) {
+      return res.status(400).json({ error: err.message })
+    }
+
+    mailserver.exportMbox(list.query, list.options, function (err, readStream) {
+      if (err) return res.status(500).json({ error: err.message })
+
+      res.setHeader('Content-disposition', 'attachment; filename=maildev.mbox')
+      res.contentType('application/mbox')
+      readStream.pipe(res)
+    })
+  })
+
+  // Import the messages of an mbox file sent as the request body
+  router.post('/email/import', function (req, res) {
+    mailserver.importMbox(req, function (err, ids, failed) {
+      if (err) return res.status(400).json({ error: err.message })
+      res.json({ imported: ids, failed: failed })
     })
   })
 
   // Get single email
   router.get('/email/:id', function (req, res) {
-    mailserver.getEmail(req.params.id, function (err, email) {
+    mailserver.readEmail(req.params.id, function (err, email) {
       if (err) return res.status(404).json({ error: err.message })
 
-      email.read = true // Mark the email as 'read'
-
       res.json(email)
     })
   })
@@ -45,6 +89,18 @@ module.exports = function (app, mailserver, basePathname) {
   //  })
   // })
 
+  // Replace the tags of an email
+  router.put('/email/:id/tags', express.json(), function (req, res) {
+    mailserver.getEmail(req.params.id, function (err) {
+      if (err) return res.status(404).json({ error: err.message })
+
+      mailserver.setEmailTags(req.params.id, req.body, function (err, tags) {
+        if (err) return res.status(400).json({ error: err.message })
+        res.json(tags)
+      })
+    })
+  })
+
   // Read all emails
   router.patch('/email/read-all', function (req, res) {
     mailserver.readAllEmail(function (err, count) {
@@ -129,8 +185,11 @@ module.exports = function (app, mailserver, basePathname) {
 
       if (req.params.relayTo) {
         if (emailRegexp.test(req.params.relayTo)) {
-          email.to = [{ address: req.params.relayTo }]
-          email.envelope.to = [{ address: req.params.relayTo, args: false }]
+          // Relay a copy, the stored email keeps its recipients
+          email = Object.assign({}, email, {
+            to: [{ address: req.params.relayTo }],
+            envelope: Object.assign({}, email.envelope, { to: [{ address: req.params.relayTo, args: false }] })
+          })
         } else {
           return res.status(400).json({ error: 'Incorrect email address provided :' + req.params.relayTo })
         }
@@ -144,14 +203,75 @@ module.exports = function (app, mailserver, basePathname) {
     })
   })
 
+  // Get the counters of rejected SMTP attempts
+  router.get('/stats', function (req, res) {
+    mailserver.getStats(function (err, stats) {
+      if (err) return res.status(500).json({ error: err.message })
+      res.json(stats)
+    })
+  })
+
+  // Get the transcripts of the recent SMTP sessions
+  router.get('/transcripts', function (req, res) {
+    mailserver.getTranscripts(function (err, transcripts) {
+      if (err) return res.status(500).json({ error: err.message })
+      res.json(transcripts)
+    })
+  })
+
+  // Get the transcript of a SMTP session
+  router.get('/transcripts/:id', function (req, res) {
+    mailserver.getTranscript(req.params.id, function (err, transcript) {
+      if (err) return res.status(404).json({ error: err.message })
+      res.json(transcript)
+    })
+  })
+
+  // Get the recipients refused because of their domain
+  router.get('/blocked', function (req, res) {
+    mailserver.getBlockedAttempts(function (err, attempts) {
+      if (err) return res.status(500).json({ error: err.message })
+      res.json(attempts)
+    })
+  })
+
+  // Clear the list of refused recipients
+  router.delete('/blocked', function (req, res) {
+    mailserver.clearBlockedAttempts(function (err) {
+      if (err) return res.status(500).json({ error: err.message })
+      res.json(true)
+    })
+  })
+
+  // Get the SMTP fault injection rules
+  router.get('/faults', function (req, res) {
+    mailserver.getFaultRules(function (err, rules) {
+      if (err) return res.status(500).json({ error: err.message })
+      res.json(rules)
+    })
+  })
+
+  // Replace the SMTP fault injection rules
+  router.put('/faults', express.json(), function (req, res) {
+    mailserver.setFaultRules(req.body, function (err, rules) {
+      if (err) return res.status(400).json({ error: err.message })
+      res.json(rules)
+    })
+  })
+
   // Health check
   router.get('/healthz', function (req, res) {
     res.json(true)
   })
 
+  // Starts the reload in the background and returns its progress
   router.get('/reloadMailsFromDirectory', function (req, res) {
     mailserver.loadMailsFromDirectory()
-    res.json(true)
+    res.json(mailserver.getReloadProgress())
+  })
+
+  router.get('/reloadMailsFromDirectory/progress', function (req, res) {
+    res.json(mailserver.getReloadProgress())
   })
   app.use(basePathname, router)
 }
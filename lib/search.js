@@ -0,0 +1,234 @@
+'use strict'
+
+/**
+ * MailDev - search.js
+ *
+ * In-process full-text index of the emails: subject, addresses, bodies,
+ * headers and attachment names. Queries are words which must all match,
+ * phrases in double quotes and field prefixes, ex.
+ * `from:bodhi subject:"big wave" header:x-template:storm attachment:pdf`.
+ */
+
+const utils = require('./utils')
+
+// Words past this count in a field are not indexed
+const MAX_FIELD_WORDS = 20000
+
+// Characters shown before the first match of a highlighted snippet, and in all
+const SNIPPET_BEFORE = 40
+const SNIPPET_LENGTH = 160
+
+const CLAUSE = /(?:(from|to|subject|body|attachment|header:[^\s:"]+):)?(?:"([^"]*)"?|(\S+))/gi
+const WORD = /[\p{L}\p{N}]+/gu
+
+// Positions of the words: word -> email id -> field -> positions
+const index = new Map()
+
+// Words of the indexed emails, to remove them
+const emailWords = new Map()
+
+/**
+ * Search exports
+ */
+
+const search = module.exports = {}
+
+/**
+ * Index a complete email, replacing it when it is indexed already
+ */
+search.add = function (email) {
+  search.remove(email.id)
+  const words = new Set()
+
+  getFields(email).forEach(function (field) {
+    tokenize(field.text).slice(0, MAX_FIELD_WORDS).forEach(function (token, position) {
+      let emails = index.get(token.word)
+      if (!emails) index.set(token.word, (emails = new Map()))
+      let fields = emails.get(email.id)
+      if (!fields) emails.set(email.id, (fields = new Map()))
+      let positions = fields.get(field.name)
+      if (!positions) fields.set(field.name, (positions = []))
+      positions.push(position)
+      words.add(token.word)
+    })
+  })
+  emailWords.set(email.id, words)
+}
+
+search.remove = function (id) {
+  const words = emailWords.get(id)
+  if (!words) return
+
+  words.forEach(function (word) {
+    const emails = index.get(word)
+    emails.delete(id)
+    if (!emails.size) index.delete(word)
+  })
+  emailWords.delete(id)
+}
+
+search.has = function (id) {
+  return emailWords.has(id)
+}
+
+search.clear = function () {
+  index.clear()
+  emailWords.clear()
+}
+
+/**
+ * Ids of the emails matching a query, null when it has no words
+ */
+search.query = function (query) {
+  const clauses = parseQuery(query)
+  if (!clauses.length) return null
+
+  return clauses.map(matchClause).reduce(function (ids, matching) {
+    return new Set(Array.from(ids).filter(function (id) { return matching.has(id) }))
+  })
+}
+
+/**
+ * Snippets of the fields of a complete email matching a query, the matches
+ * wrapped in `<mark>` and the rest escaped, ex. `[{ field: 'subject',
+ * snippet: 'Fifty year <mark>storm</mark>' }]`
+ */
+search.highlight = function (email, query) {
+  const clauses = parseQuery(query)
+  const highlights = []
+
+  getFields(email).forEach(function (field) {
+    const tokens = tokenize(field.text)
+    const ranges = []
+    clauses.forEach(function (clause) {
+      if (!fieldMatches(clause.field, field.name)) return
+      tokens.forEach(function (token, position) {
+        const matched = clause.words.every(function (word, offset) {
+          const other = tokens[position + offset]
+          return other && other.word === word
+        })
+        if (!matched) return
+        const last = tokens[position + clause.words.length - 1]
+        ranges.push([token.start, last.end])
+      })
+    })
+    if (ranges.length) {
+      highlights.push({ field: field.name, snippet: formatSnippet(field.text, ranges) })
+    }
+  })
+  return highlights
+}
+
+// Clauses of a query, `{ field, words }`, the field being null for any
+function parseQuery (query) {
+  const clauses = []
+  const pattern = new RegExp(CLAUSE.source, CLAUSE.flags)
+  let match
+  while ((match = pattern.exec(String(query || '')))) {
+    const words = tokenize(match[2] !== undefined ? match[2] : match[3]).map(function (token) {
+      return token.word
+    })
+    if (words.length) {
+      clauses.push({ field: match[1] ? match[1].toLowerCase() : null, words: words })
+    }
+  }
+  return clauses
+}
+
+function matchClause (clause) {
+  const ids = new Set()
+  const first = index.get(clause.words[0])
+  if (!first) return ids
+
+  first.forEach(function (fields, id) {
+    fields.forEach(function (positions, name) {
+      if (ids.has(id) || !fieldMatches(clause.field, name)) return
+      const matched = positions.some(function (position) {
+        return clause.words.every(function (word, offset) {
+          if (!offset) return true
+          const emails = index.get(word)
+          const wordFields = emails && emails.get(id)
+          const wordPositions = wordFields && wordFields.get(name)
+          return !!wordPositions && wordPositions.indexOf(position + offset) !== -1
+        })
+      })
+      if (matched) ids.add(id)
+    })
+  })
+  return ids
+}
+
+function fieldMatches (wanted, name) {
+  return !wanted || wanted === name
+}
+
+// Words of a text in lower case and without accents, with their offsets
+function tokenize (text) {
+  const tokens = []
+  const pattern = new RegExp(WORD.source, WORD.flags)
+  const value = String(text || '')
+  let match
+  while ((match = pattern.exec(value))) {
+    tokens.push({
+      word: match[0].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    })
+  }
+  return tokens
+}
+
+// Indexed fields of a complete email, `{ name, text }`
+function getFields (email) {
+  const formatAddresses = function (addresses) {
+    return (addresses || []).map(function (address) {
+      return (address.name || '') + ' ' + (address.address || '')
+    }).join(', ')
+  }
+  const fields = [
+    { name: 'subject', text: email.subject },
+    { name: 'from', text: formatAddresses(email.from) },
+    { name: 'to', text: formatAddresses([].concat(email.to || [], email.cc || [])) },
+    { name: 'body', text: email.text || utils.htmlToText(email.html) },
+    {
+      name: 'attachment',
+      text: (email.attachments || []).map(function (attachment) {
+        return attachment.generatedFileName || attachment.fileName
+      }).join(', ')
+    }
+  ]
+  Object.keys(email.headers || {}).forEach(function (name) {
+    const value = email.headers[name]
+    fields.push({
+      name: 'header:' + name.toLowerCase(),
+      text: Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : value
+    })
+  })
+  return fields.filter(function (field) { return field.text })
+}
+
+// Part of a text around its first match, on one line
+function formatSnippet (text, ranges) {
+  ranges.sort(function (a, b) { return a[0] - b[0] })
+  const start = Math.max(0, ranges[0][0] - SNIPPET_BEFORE)
+  const end = Math.min(text.length, start + SNIPPET_LENGTH)
+
+  let snippet = ''
+  let position = start
+  ranges.forEach(function (range) {
+    if (range[0] < position || range[1] > end) return
+    snippet += escapeHtml(text.slice(position, range[0])) + '<mark>' + escapeHtml(text.slice(range[0], range[1])) + '</mark>'
+    position = range[1]
+  })
+  snippet += escapeHtml(text.slice(position, end))
+  return (start > 0 ? '…' : '') + snippet.replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '')
+}
+
+function escapeHtml (text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
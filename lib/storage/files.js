@@ -0,0 +1,186 @@
+'use strict'
+
+/**
+ * MailDev - storage/files.js
+ *
+ * Raw emails, metadata and attachments in the mail directory, shared by the
+ * storage backends. The default layout holds `<id>.eml`, `<id>.json` and
+ * `<id>/<contentId>`, see maildir.js for the Maildir one.
+ */
+
+const async = require('async')
+const fs = require('fs')
+const path = require('path')
+const rimraf = require('rimraf')
+
+const layouts = {
+  files: createFilesLayout,
+  maildir: require('./maildir')
+}
+
+/**
+ * options:
+ *   keep - prefixes of the file names left in place when clearing the
+ *     directory, ex. the database of a backend
+ *   layout - 'files' (default) or 'maildir'
+ */
+module.exports = function createFiles (dir, options) {
+  options = options || {}
+  const keep = options.keep || []
+  const createLayout = layouts[options.layout || 'files']
+  if (!createLayout) {
+    throw new Error('Unknown mail directory layout "' + options.layout + '", expected one of ' + Object.keys(layouts).join(', '))
+  }
+  const layout = createLayout(dir)
+  const files = {}
+  let metadataWrites = 0
+
+  const metadataPath = function (id) {
+    return path.join(layout.dataDir, id + '.json')
+  }
+
+  const attachmentDir = function (id) {
+    return path.join(layout.dataDir, id)
+  }
+
+  files.init = function () {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir)
+    }
+    layout.init()
+  }
+
+  files.createRawStream = layout.createRawStream
+
+  files.getRawStream = function (id) {
+    return fs.createReadStream(layout.rawPath(id))
+  }
+
+  files.getRawSize = function (id) {
+    return fs.statSync(layout.rawPath(id)).size
+  }
+
+  files.getRawTime = function (id) {
+    return fs.statSync(layout.rawPath(id)).mtime
+  }
+
+  files.getRawPath = layout.rawPath
+
+  // Flags kept in the raw email file names, ex. { read: true }, null when
+  // the layout has none
+  files.getFlags = layout.getFlags
+
+  // Written aside then renamed, a restart never finds half a file. The flags
+  // of the layout follow the metadata.
+  files.writeMetadata = function (id, metadata, done) {
+    const tmpPath = metadataPath(id) + '.' + process.pid + '-' + (++metadataWrites)
+    fs.writeFile(tmpPath, JSON.stringify(metadata, null, 2), function (err) {
+      if (err) return done(err)
+      fs.rename(tmpPath, metadataPath(id), function (err) {
+        if (err) return done(err)
+        layout.setFlags(id, metadata, done)
+      })
+    })
+  }
+
+  // Calls back with null when the email has no metadata file
+  files.readMetadata = function (id, done) {
+    fs.readFile(metadataPath(id), 'utf8', function (err, data) {
+      if (err) return done(err.code === 'ENOENT' ? null : err, null)
+
+      let metadata
+      try {
+        metadata = JSON.parse(data)
+      } catch (err) {
+        return done(err)
+      }
+      done(null, metadata)
+    })
+  }
+
+  // `done` is called once the attachment is written
+  files.saveAttachment = function (id, contentId, stream, done) {
+    try {
+      if (!fs.existsSync(attachmentDir(id))) {
+        fs.mkdirSync(attachmentDir(id))
+      }
+    } catch (err) {
+      stream.resume()
+      return done(err)
+    }
+    const output = fs.createWriteStream(path.join(attachmentDir(id), contentId))
+    output.on('finish', function () { done() })
+    output.on('error', done)
+    stream.pipe(output)
+  }
+
+  files.hasAttachment = function (id, contentId) {
+    return fs.existsSync(path.join(attachmentDir(id), contentId))
+  }
+
+  files.getAttachmentStream = function (id, contentId) {
+    return fs.createReadStream(path.join(attachmentDir(id), contentId))
+  }
+
+  // Ids of the raw emails in the directory
+  files.listIds = layout.listIds
+
+  // Remove the raw email, the metadata and the attachments of an email
+  files.remove = function (id, done) {
+    layout.removeRaw(id, function (err) {
+      if (err) return done(err)
+      async.eachSeries([metadataPath(id), attachmentDir(id)], rimraf, done)
+    })
+  }
+
+  files.clear = function (done) {
+    fs.readdir(dir, function (err, names) {
+      if (err) return done(err)
+
+      const removed = names.filter(function (name) {
+        return !keep.some(function (prefix) { return name.indexOf(prefix) === 0 })
+      })
+      async.each(removed, function (name, next) {
+        rimraf(path.join(dir, name), next)
+      }, function (err) {
+        if (err) return done(err)
+        layout.init()
+        done()
+      })
+    })
+  }
+
+  return files
+}
+
+function createFilesLayout (dir) {
+  const rawPath = function (id) {
+    return path.join(dir, id + '.eml')
+  }
+
+  return {
+    dataDir: dir,
+    init: function () {},
+    createRawStream: function (id) {
+      return fs.createWriteStream(rawPath(id))
+    },
+    rawPath: rawPath,
+    listIds: function (done) {
+      fs.readdir(dir, function (err, names) {
+        if (err) return done(err)
+        done(null, names
+          .filter(function (name) { return path.extname(name) === '.eml' })
+          .map(function (name) { return path.basename(name, '.eml') }))
+      })
+    },
+    getFlags: function () {
+      return null
+    },
+    setFlags: function (id, state, done) {
+      done()
+    },
+    removeRaw: function (id, done) {
+      rimraf(rawPath(id), done)
+    }
+  }
+}
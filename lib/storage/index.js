@@ -0,0 +1,33 @@
+'use strict'
+
+/**
+ * MailDev - storage/index.js
+ *
+ * Storage backends of the received emails, all of them implement:
+ *   init(), close(done)
+ *   save(email, done), get(id, done), update(id, changes, done)
+ *   list(query, done) - emails sorted by received time
+ *   delete(id, done), deleteAll(done)
+ *   createRawStream(id), getRawStream(id), getRawSize(id), getRawPath(id)
+ *   getRawTime(id) - modification time of the raw email
+ *   writeMetadata(id, metadata, done), readMetadata(id, done) - `<id>.json` sidecar
+ *   saveAttachment(id, contentId, stream, done), getAttachmentStream(id, contentId)
+ *   hasAttachment(id, contentId) - whether the attachment is on disk
+ *   listIds(done) - ids of the raw emails in the mail directory
+ *   getFlags(id) - flags kept in the file names by the maildir layout, null otherwise
+ */
+
+const backends = {
+  memory: require('./memory'),
+  sqlite: require('./sqlite')
+}
+
+module.exports = function createStorage (type, options) {
+  const createBackend = backends[type || 'memory']
+  if (!createBackend) {
+    throw new Error('Unknown storage "' + type + '", expected one of ' + Object.keys(backends).join(', '))
+  }
+  return createBackend(options)
+}
+
+module.exports.types = Object.keys(backends)
@@ -0,0 +1,130 @@
+'use strict'
+
+/**
+ * MailDev - storage/maildir.js
+ *
+ * Maildir layout of the mail directory: the raw emails are delivered through
+ * `tmp/` to `new/`, and moved to `cur/` with the Seen flag once read, ex.
+ * `cur/<id>:2,S`. Metadata and attachments are kept apart in `maildev/`.
+ */
+
+const async = require('async')
+const fs = require('fs')
+const path = require('path')
+const rimraf = require('rimraf')
+
+// Windows does not allow colons in file names, Maildir tools use `!` there
+const INFO_SEPARATOR = process.platform === 'win32' ? '!' : ':'
+const SUBDIRS = ['tmp', 'new', 'cur', 'maildev']
+
+// The unique part of a Maildir file name, used as the email id
+function getId (name) {
+  return name.split(/[:!]2,/)[0]
+}
+
+function getFlags (name) {
+  const match = /[:!]2,([A-Za-z]*)$/.exec(name)
+  return match ? match[1] : ''
+}
+
+module.exports = function createMaildirLayout (dir) {
+  const layout = { dataDir: path.join(dir, 'maildev') }
+
+  // Current path of the raw emails, they move when their flags change
+  const located = new Map()
+
+  const locate = function (id, subdir, name) {
+    const rawPath = path.join(dir, subdir, name)
+    located.set(id, rawPath)
+    return rawPath
+  }
+
+  layout.init = function () {
+    SUBDIRS.forEach(function (subdir) {
+      if (!fs.existsSync(path.join(dir, subdir))) {
+        fs.mkdirSync(path.join(dir, subdir))
+      }
+    })
+  }
+
+  layout.createRawStream = function (id) {
+    const tmpPath = path.join(dir, 'tmp', id)
+    const output = fs.createWriteStream(tmpPath)
+
+    // Delivered once complete, before the listeners of the caller run
+    output.on('finish', function () {
+      try {
+        fs.renameSync(tmpPath, path.join(dir, 'new', id))
+        locate(id, 'new', id)
+      } catch (err) {
+        output.emit('error', err)
+      }
+    })
+    return output
+  }
+
+  // Files moved by other Maildir tools are searched for, a missing email
+  // gets a path in `new/` which does not exist
+  layout.rawPath = function (id) {
+    const known = located.get(id)
+    if (known && fs.existsSync(known)) return known
+    located.delete(id)
+
+    for (const subdir of ['cur', 'new']) {
+      const name = fs.readdirSync(path.join(dir, subdir)).filter(function (name) {
+        return getId(name) === id
+      })[0]
+      if (name) return locate(id, subdir, name)
+    }
+    return path.join(dir, 'new', id)
+  }
+
+  layout.listIds = function (done) {
+    async.concatSeries(['new', 'cur'], function (subdir, next) {
+      fs.readdir(path.join(dir, subdir), function (err, names) {
+        if (err) return next(err)
+        next(null, names.filter(function (name) {
+          return name[0] !== '.'
+        }).map(function (name) {
+          const id = getId(name)
+          locate(id, subdir, name)
+          return id
+        }))
+      })
+    }, done)
+  }
+
+  layout.getFlags = function (id) {
+    const rawPath = layout.rawPath(id)
+    if (!fs.existsSync(rawPath)) return null
+    return { read: getFlags(path.basename(rawPath)).indexOf('S') !== -1 }
+  }
+
+  // The Seen flag follows the read state, the other flags are kept and
+  // unread emails without flags stay in `new/`
+  layout.setFlags = function (id, state, done) {
+    const current = layout.rawPath(id)
+    if (!fs.existsSync(current)) return done()
+
+    const flags = getFlags(path.basename(current)).replace('S', '')
+    const wanted = (state.read ? flags + 'S' : flags).split('').sort().join('')
+    const isNew = path.dirname(current) === path.join(dir, 'new')
+    if (isNew && !state.read) return done()
+
+    const target = path.join(dir, 'cur', id + INFO_SEPARATOR + '2,' + wanted)
+    if (target === current) return done()
+    fs.rename(current, target, function (err) {
+      if (err) return done(err)
+      locate(id, 'cur', path.basename(target))
+      done()
+    })
+  }
+
+  layout.removeRaw = function (id, done) {
+    const rawPath = layout.rawPath(id)
+    located.delete(id)
+    async.eachSeries([rawPath, path.join(dir, 'tmp', id)], rimraf, done)
+  }
+
+  return layout
+}
@@ -0,0 +1,70 @@
+'use strict'
+
+/**
+ * MailDev - storage/memory.js
+ *
+ * Default storage backend, the emails are kept in memory with their raw
+ * source and attachments in the mail directory
+ */
+
+const createFiles = require('./files')
+const utils = require('../utils')
+
+module.exports = function createMemoryStorage (options) {
+  const storage = createFiles(options.dir, { layout: options.layout })
+  const emails = []
+
+  const indexOf = function (id) {
+    for (let i = 0; i < emails.length; i++) {
+      if (emails[i].id === id) return i
+    }
+    return -1
+  }
+
+  // Kept sorted by received time, emails restored out of order included
+  storage.save = function (email, done) {
+    let index = emails.length
+    while (index > 0 && utils.getReceivedTime(emails[index - 1]) > utils.getReceivedTime(email)) index--
+    emails.splice(index, 0, email)
+    done(null, email)
+  }
+
+  storage.get = function (id, done) {
+    const index = indexOf(id)
+    done(null, index > -1 ? emails[index] : null)
+  }
+
+  // Emails matching a query of utils.filterEmails, all of them without
+  // query, by received time
+  storage.list = function (query, done) {
+    done(null, query ? utils.filterEmails(emails, query) : emails.slice())
+  }
+
+  storage.update = function (id, changes, done) {
+    const index = indexOf(id)
+    if (index === -1) return done(null, null)
+    done(null, Object.assign(emails[index], changes))
+  }
+
+  // Calls back with the former index of the email, -1 when not found
+  storage.delete = function (id, done) {
+    const index = indexOf(id)
+    if (index === -1) return done(null, -1)
+
+    emails.splice(index, 1)
+    storage.remove(id, function (err) {
+      done(err, index)
+    })
+  }
+
+  storage.deleteAll = function (done) {
+    emails.length = 0
+    storage.clear(done)
+  }
+
+  storage.close = function (done) {
+    done()
+  }
+
+  return storage
+}
@@ -0,0 +1,185 @@
+'use strict'
+
+/**
+ * MailDev - storage/sqlite.js
+ *
+ * Embedded SQLite storage backend, the emails are kept in a database file
+ * and survive restarts, their raw source and attachments stay in the mail
+ * directory. Requires the optional sqlite3 package.
+ */
+
+const path = require('path')
+const createFiles = require('./files')
+const utils = require('../utils')
+
+const DEFAULT_FILE = 'maildev.sqlite'
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS emails (
+    id TEXT PRIMARY KEY,
+    time INTEGER,
+    read INTEGER NOT NULL DEFAULT 0,
+    subject TEXT,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS emails_time ON emails (time)',
+  'CREATE INDEX IF NOT EXISTS emails_read ON emails (read)',
+  'CREATE INDEX IF NOT EXISTS emails_subject ON emails (subject)'
+]
+
+// Query keys narrowed down with the indexed columns before utils.filterEmails
+const INDEXED_KEYS = {
+  read: function (value) {
+    if (String(value) === 'true') return ['read = ?', 1]
+    if (String(value) === 'false') return ['read = ?', 0]
+    return null
+  },
+  subject: function (value) {
+    return ['subject = ?', String(value)]
+  }
+}
+
+function loadDriver () {
+  try {
+    return require('sqlite3')
+  } catch (err) {
+    throw new Error('The sqlite storage requires the sqlite3 package, install it with `npm install sqlite3`')
+  }
+}
+
+// The time column holds the received time, the emails are listed by it
+function serialize (email) {
+  return [
+    email.id,
+    utils.getReceivedTime(email) || null,
+    email.read ? 1 : 0,
+    email.subject || null,
+    JSON.stringify(email)
+  ]
+}
+
+function deserialize (row) {
+  const email = JSON.parse(row.data)
+  if (email.time) email.time = new Date(email.time)
+  if (email.receivedAt) email.receivedAt = new Date(email.receivedAt)
+  if (email.date) email.date = new Date(email.date)
+  return email
+}
+
+/**
+ * options:
+ *   dir - mail directory of the raw emails and attachments
+ *   file - database file, `maildev.sqlite` in the mail directory by default
+ *   layout - layout of the mail directory, 'files' (default) or 'maildir'
+ */
+module.exports = function createSqliteStorage (options) {
+  const sqlite3 = loadDriver()
+  const file = path.resolve(options.dir, options.file || DEFAULT_FILE)
+  const keep = path.dirname(file) === path.resolve(options.dir) ? [path.basename(file)] : []
+  const storage = createFiles(options.dir, { keep: keep, layout: options.layout })
+  const initFiles = storage.init
+  let db = null
+
+  storage.file = file
+
+  // Statements are queued by the driver until the database is open
+  storage.init = function () {
+    initFiles()
+    db = new sqlite3.Database(file)
+    db.serialize(function () {
+      SCHEMA.forEach(function (statement) { db.run(statement) })
+    })
+  }
+
+  storage.save = function (email, done) {
+    db.run(
+      'INSERT OR REPLACE INTO emails (id, time, read, subject, data) VALUES (?, ?, ?, ?, ?)',
+      serialize(email),
+      function (err) {
+        done(err, err ? null : email)
+      }
+    )
+  }
+
+  storage.get = function (id, done) {
+    db.get('SELECT data FROM emails WHERE id = ?', [id], function (err, row) {
+      if (err) return done(err)
+      done(null, row ? deserialize(row) : null)
+    })
+  }
+
+  // Emails matching a query of utils.filterEmails, by received time then in
+  // the order they were saved
+  storage.list = function (query, done) {
+    const where = []
+    const params = []
+    Object.keys(query || {}).forEach(function (key) {
+      const condition = INDEXED_KEYS[key] && INDEXED_KEYS[key](query[key])
+      if (!condition) return
+      where.push(condition[0])
+      params.push(condition[1])
+    })
+
+    const sql = 'SELECT data FROM emails' +
+      (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+      ' ORDER BY time, rowid'
+    db.all(sql, params, function (err, rows) {
+      if (err) return done(err)
+      const emails = rows.map(deserialize)
+      done(null, query ? utils.filterEmails(emails, query) : emails)
+    })
+  }
+
+  storage.update = function (id, changes, done) {
+    storage.get(id, function (err, email) {
+      if (err || !email) return done(err, null)
+
+      Object.assign(email, changes)
+      const values = serialize(email)
+      db.run(
+        'UPDATE emails SET time = ?, read = ?, subject = ?, data = ? WHERE id = ?',
+        values.slice(1).concat([id]),
+        function (err) {
+          done(err, err ? null : email)
+        }
+      )
+    })
+  }
+
+  // Calls back with the former index of the email, -1 when not found
+  storage.delete = function (id, done) {
+    db.get(
+      'SELECT (SELECT COUNT(*) FROM emails AS previous WHERE previous.time < emails.time OR ' +
+        '(previous.time = emails.time AND previous.rowid < emails.rowid)) AS position FROM emails WHERE id = ?',
+      [id],
+      function (err, row) {
+        if (err) return done(err)
+        if (!row) return done(null, -1)
+
+        db.run('DELETE FROM emails WHERE id = ?', [id], function (err) {
+          if (err) return done(err)
+          storage.remove(id, function (err) {
+            done(err, row.position)
+          })
+        })
+      }
+    )
+  }
+
+  storage.deleteAll = function (done) {
+    db.run('DELETE FROM emails', function (err) {
+      if (err) return done(err)
+      storage.clear(done)
+    })
+  }
+
+  storage.close = function (done) {
+    if (!db) return done()
+    db.close(function (err) {
+      db = null
+      done(err)
+    })
+  }
+
+  return storage
+}
@@ -0,0 +1,140 @@
+'use strict'
+
+/**
+ * MailDev - transcripts.js
+ *
+ * Command and response transcripts of SMTP sessions, including the sessions
+ * which did not deliver any email.
+ */
+
+// Oldest sessions are forgotten past this count
+const MAX_TRANSCRIPTS = 1000
+
+// Transcripts by session id, in connection order
+const sessions = new Map()
+
+/**
+ * Transcripts exports
+ */
+
+const transcripts = module.exports = {}
+
+/**
+ * Start the transcript of a new smtp-server session
+ */
+transcripts.start = function (session, listenerName) {
+  sessions.set(session.id, {
+    id: session.id,
+    listener: listenerName,
+    remoteAddress: session.remoteAddress,
+    user: false,
+    start: new Date(),
+    end: null,
+    duration: null,
+    emails: [],
+    lines: [],
+    // A 334 reply was sent, the next client line is an AUTH secret
+    authPending: false,
+    // Bytes received since DATA was accepted or the first BDAT, null outside of them
+    dataSize: null
+  })
+
+  if (sessions.size > MAX_TRANSCRIPTS) {
+    sessions.delete(sessions.keys().next().value)
+  }
+}
+
+/**
+ * Record a client command ('C') or a server response ('S'), masking secrets
+ */
+transcripts.record = function (id, direction, line) {
+  const transcript = sessions.get(id)
+  if (!transcript) return
+
+  if (direction === 'C') {
+    line = transcript.authPending ? '***' : maskAuthCommand(line)
+    transcript.authPending = false
+  } else {
+    transcript.authPending = /^334/.test(line)
+    if (/^354/.test(line)) transcript.dataSize = 0
+  }
+
+  addLine(transcript, direction, line)
+}
+
+/**
+ * Count the message data of a session, recorded when it ends or when the
+ * connection closes before
+ */
+transcripts.watchData = function (id, stream) {
+  const transcript = sessions.get(id)
+  if (!transcript) return
+
+  // BDAT chunks are not announced by a 354 reply
+  if (transcript.dataSize === null) transcript.dataSize = 0
+  stream.on('data', function (chunk) {
+    transcript.dataSize += chunk.length
+  })
+  stream.on('end', function () {
+    addLine(transcript, 'C', `<${transcript.dataSize} bytes of message data>`)
+    transcript.dataSize = null
+  })
+}
+
+/**
+ * Link an email to the session which delivered it
+ */
+transcripts.addEmail = function (id, emailId) {
+  const transcript = sessions.get(id)
+  if (transcript) transcript.emails.push(emailId)
+}
+
+/**
+ * Close the transcript when the connection ends
+ */
+transcripts.end = function (session) {
+  const transcript = sessions.get(session.id)
+  if (!transcript || transcript.end) return
+
+  if (transcript.dataSize !== null) {
+    addLine(transcript, 'C', `<connection closed after ${transcript.dataSize} bytes of message data>`)
+  }
+  transcript.user = session.user || false
+  transcript.end = new Date()
+  transcript.duration = transcript.end - transcript.start
+}
+
+transcripts.get = function (id) {
+  const transcript = sessions.get(id)
+  return transcript ? serialize(transcript) : null
+}
+
+transcripts.getAll = function () {
+  return Array.from(sessions.values()).map(serialize)
+}
+
+transcripts.clear = function () {
+  sessions.clear()
+}
+
+function addLine (transcript, direction, line) {
+  transcript.lines.push({
+    time: Date.now() - transcript.start,
+    direction: direction,
+    line: line
+  })
+}
+
+// Keep the mechanism of `AUTH <mechanism> <initial response>`
+function maskAuthCommand (line) {
+  const parts = line.split(' ')
+  if (parts[0].toUpperCase() === 'AUTH' && parts.length > 2) {
+    return parts.slice(0, 2).concat('***').join(' ')
+  }
+  return line
+}
+
+function serialize (transcript) {
+  const { authPending, dataSize, ...serialized } = transcript
+  return serialized
+}
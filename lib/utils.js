@@ -13,6 +13,19 @@ utils.makeId = function () {
   return text
 }
 
+// Ids sorted like their creation time: the time in milliseconds and a random
+// part, in base 36. Ids made in the same millisecond take the next ones to
+// stay unique and ordered.
+let lastIdTime = 0
+utils.makeSortableId = function () {
+  lastIdTime = Math.max(Date.now(), lastIdTime + 1)
+  let random = ''
+  for (let i = 0; i < 6; i++) {
+    random += Math.floor(Math.random() * 36).toString(36)
+  }
+  return lastIdTime.toString(36).padStart(9, '0') + random
+}
+
 // Clone object
 utils.clone = function (object) {
   return JSON.parse(JSON.stringify(object))
@@ -29,10 +42,33 @@ utils.formatBytes = function (bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i]
 }
 
+// Parse a size such as 1024, '512KB' or '25MB' into bytes, using the units of formatBytes
+utils.parseBytes = function (value) {
+  if (typeof value === 'number') return value
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(bytes|b|kb|mb|gb|tb)?\s*$/i.exec(value || '')
+  if (!match) {
+    throw new Error(`Invalid size: ${value}`)
+  }
+  const units = ['b', 'kb', 'mb', 'gb', 'tb']
+  const unit = (match[2] || 'b').toLowerCase().replace('bytes', 'b')
+  return Math.round(parseFloat(match[1]) * Math.pow(1024, units.indexOf(unit)))
+}
+
+// Parse a duration such as 500, '30s', '12h' or '7d' into milliseconds
+utils.parseDuration = function (value) {
+  if (typeof value === 'number') return value
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?\s*$/i.exec(value || '')
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`)
+  }
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'ms').toLowerCase()])
+}
+
 function lookup (obj, path) {
   const parts = path.split('.')
   const base = obj[parts[0]]
-  if (!base) return
+  if (base === undefined || base === null) return
   if (parts.length === 1) {
     return base
   }
@@ -46,6 +82,12 @@ function lookup (obj, path) {
   }
 }
 
+// Query string values are strings, booleans and numbers are compared as text
+function matchesQuery (value, element) {
+  if (value === element) return true
+  return (typeof value === 'boolean' || typeof value === 'number') && String(value) === String(element)
+}
+
 utils.filterEmails = function (emails, query) {
   return emails.filter((email) => {
     const hits = []
@@ -54,9 +96,9 @@ utils.filterEmails = function (emails, query) {
         const element = query[key]
         const value = lookup(email, key)
         if (Array.isArray(value)) {
-          hits.push(value.includes(element))
+          hits.push(value.some((item) => matchesQuery(item, element)))
         } else {
-          hits.push(value === element)
+          hits.push(matchesQuery(value, element))
         }
       }
     }
@@ -64,6 +106,55 @@ utils.filterEmails = function (emails, query) {
   })
 }
 
+// Fields of the emails kept in memory and listed by GET /email, the bodies
+// and headers are loaded from the raw email on demand
+const SUMMARY_FIELDS = [
+  'id', 'time', 'receivedAt', 'from', 'to', 'cc', 'subject', 'size', 'sizeHuman', 'read', 'tags',
+  'snippet', 'hasAttachments', 'attachmentsSize'
+]
+const SNIPPET_LENGTH = 120
+
+utils.summaryFields = SUMMARY_FIELDS
+
+/**
+ * When MailDev received an email in milliseconds, its date for emails stored
+ * before the receipt time was recorded
+ */
+utils.getReceivedTime = function (email) {
+  const time = new Date(email.receivedAt || email.time || 0).getTime()
+  return isNaN(time) ? 0 : time
+}
+
+/**
+ * The summary fields of an email, only the ones it has
+ */
+utils.summarizeEmail = function (email) {
+  const summary = {}
+  SUMMARY_FIELDS.forEach((field) => {
+    if (field in email) summary[field] = email[field]
+  })
+  return summary
+}
+
+/**
+ * Text of an html body, without its markup, styles and scripts
+ */
+utils.htmlToText = function (html) {
+  return (html || '')
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+}
+
+/**
+ * Start of the text of an email on one line, made of its html without text
+ */
+utils.makeSnippet = function (text, html) {
+  const content = text || utils.htmlToText(html)
+  const snippet = content.replace(/\s+/g, ' ').trim()
+  return snippet.length > SNIPPET_LENGTH ? snippet.slice(0, SNIPPET_LENGTH - 1) + '…' : snippet
+}
+
 utils.delay = function (ms) {
   return new Promise(resolve => setTimeout(resolve, ms))
 }
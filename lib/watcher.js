@@ -0,0 +1,70 @@
+'use strict'
+
+/**
+ * MailDev - watcher.js
+ *
+ * Watch a drop folder for `.eml` files written by other programs, ex. the
+ * file email backends of Symfony or Django.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+// Files are handed over once their size stopped changing for this long
+const SETTLE_DELAY = 250
+
+/**
+ * Call `onFile(filePath)` for each `.eml` file created or rewritten in `dir`
+ * once it is complete. Files present before are left alone. Returns an
+ * object with a `close()` method.
+ */
+module.exports = function watchDirectory (dir, onFile) {
+  const timers = new Map()
+  const sizes = new Map()
+  const handled = new Map()
+
+  const schedule = function (name) {
+    clearTimeout(timers.get(name))
+    timers.set(name, setTimeout(check, SETTLE_DELAY, name))
+  }
+
+  const check = function (name) {
+    timers.delete(name)
+    fs.stat(path.join(dir, name), function (err, stats) {
+      if (err || !stats.isFile()) {
+        sizes.delete(name)
+        handled.delete(name)
+        return
+      }
+      // Still being written
+      if (sizes.get(name) !== stats.size) {
+        sizes.set(name, stats.size)
+        return schedule(name)
+      }
+      sizes.delete(name)
+
+      const version = stats.mtimeMs + ':' + stats.size
+      if (handled.get(name) === version) return
+      handled.set(name, version)
+      onFile(path.join(dir, name))
+    })
+  }
+
+  fs.readdirSync(dir).forEach(function (name) {
+    const stats = fs.statSync(path.join(dir, name))
+    handled.set(name, stats.mtimeMs + ':' + stats.size)
+  })
+
+  const fsWatcher = fs.watch(dir, function (eventType, name) {
+    if (!name || name[0] === '.' || path.extname(name).toLowerCase() !== '.eml') return
+    schedule(name)
+  })
+
+  return {
+    close: function () {
+      fsWatcher.close()
+      timers.forEach(clearTimeout)
+      timers.clear()
+    }
+  }
+}
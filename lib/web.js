@@ -13,6 +13,7 @@ const socketio = require('socket.io')
 const routes = require('./routes')
 const auth = require('./auth')
 const logger = require('./logger')
+const utils = require('./utils')
 const path = require('path')
 
 const web = module.exports = {}
@@ -41,9 +42,10 @@ function closeConnections () {
  * WebSockets
  */
 
+// The list of the web interface only holds summaries
 function emitNewMail (socket) {
   return function (email) {
-    socket.emit('newMail', email)
+    socket.emit('newMail', utils.summarizeEmail(email))
   }
 }
 
@@ -53,16 +55,25 @@ function emitDeleteMail (socket) {
   }
 }
 
+function emitReloadProgress (socket) {
+  return function (progress) {
+    socket.emit('reloadProgress', progress)
+  }
+}
+
 function webSocketConnection (mailserver) {
   return function onConnection (socket) {
     const newHandlers = emitNewMail(socket)
     const deleteHandler = emitDeleteMail(socket)
+    const reloadHandler = emitReloadProgress(socket)
     mailserver.on('new', newHandlers)
     mailserver.on('delete', deleteHandler)
+    mailserver.on('reload', reloadHandler)
 
     function removeListeners () {
       mailserver.removeListener('new', newHandlers)
       mailserver.removeListener('delete', deleteHandler)
+      mailserver.removeListener('reload', reloadHandler)
     }
 
     socket.on('disconnect', removeListeners)
@@ -72,11 +83,15 @@ function webSocketConnection (mailserver) {
 web.server = null
 
 /**
- * Start the web server
+ * Start the web server. X-Forwarded-For is only trusted from the
+ * trustedProxies CIDR ranges, a comma separated string or an array.
  */
 
-web.start = function (port, host, mailserver, user, password, basePathname, secure) {
+web.start = function (port, host, mailserver, user, password, basePathname, secure, trustedProxies) {
   const app = express()
+  if (trustedProxies) {
+    app.set('trust proxy', trustedProxies)
+  }
   if (secure.https) {
     if (fs.existsSync(secure.key) === false) {
       logger.error('Unable to find https secure key. Please specify key file via -https-key argument')
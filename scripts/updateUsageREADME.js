@@ -3,20 +3,24 @@ const path = require('path')
 const { options } = require('../lib/options')
 
 const generateMarkdown = (options) => {
-  const tableRows = options.map((option) => {
-    const env = option[1] ? `\`${option[1] || ''}\`` : ''
-    return `|\`${option[0]}\`|${env}|${option[2] || ''}|`
-  })
+  const rows = [['Options', 'Environment variable', 'Description']].concat(options.map((option) => {
+    const env = option[1] ? `\`${option[1]}\`` : ''
+    return [`\`${option[0]}\``, env, option[2] || '']
+  }))
+  // Columns are padded to their widest cell
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)))
+  const formatRow = (row) => `| ${row.map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`
   return [
-    '|Options|Environment variable|Description|',
-    '|---|---|---|'
-  ].concat(tableRows).join('\n')
+    formatRow(rows[0]),
+    formatRow(widths.map((width) => '-'.repeat(width)))
+  ].concat(rows.slice(1).map(formatRow)).join('\n')
 }
 
 const readmeFilename = path.join(__dirname, '../README.md')
 const README = fs.readFileSync(readmeFilename).toString()
 
 const updatedText = `
+
 \`\`\`
 Usage: maildev [options]
 \`\`\`
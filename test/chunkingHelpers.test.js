@@ -0,0 +1,34 @@
+/* global describe, it */
+'use strict'
+const expect = require('expect')
+const { SMTPConnection } = require('smtp-server/lib/smtp-connection')
+const chunkingHelpers = require('../lib/helpers/chunking')
+
+function createConnection () {
+  return new SMTPConnection({ options: {} }, {})
+}
+
+describe('chunking helpers', () => {
+  it('should find the internals of the installed smtp-server', () => {
+    expect(() => chunkingHelpers.checkInternals()).not.toThrow()
+  })
+
+  it('should name the missing internals', () => {
+    const connection = createConnection()
+    connection._resetSession = null
+    connection._parser._feedDataStream = undefined
+    expect(() => chunkingHelpers.checkInternals(connection))
+      .toThrow('CHUNKING is not supported by this version of smtp-server, missing _resetSession, _parser._feedDataStream')
+  })
+
+  it('should install the BDAT hooks on a connection', () => {
+    const connection = createConnection()
+    const parser = connection._parser
+    chunkingHelpers.extendConnection(connection)
+    expect(typeof connection.handler_BDAT).toBe('function')
+    for (const name of ['handler_EHLO', 'handler_DATA', '_resetSession', '_onClose']) {
+      expect(connection[name]).not.toBe(SMTPConnection.prototype[name])
+    }
+    expect(parser._feedDataStream).not.toBe(Object.getPrototypeOf(parser)._feedDataStream)
+  })
+})
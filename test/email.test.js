@@ -221,11 +221,11 @@ describe('email', () => {
                 assert.strictEqual(data, fileContents)
 
                 seenEmails += 1
-                if (seenEmails) {
+                if (seenEmails === emailsForTest.length) {
                   resolve()
                 }
               })
-            })
+            }).on('error', reject)
           })
         })
       })
@@ -0,0 +1,119 @@
+/* global describe, it, before, after, afterEach */
+'use strict'
+const expect = require('expect')
+const nodemailer = require('nodemailer')
+const faults = require('../lib/faults')
+const MailDev = require('../index.js')
+
+const port = 9028
+
+describe('faults', () => {
+  afterEach(() => {
+    faults.setRules([])
+  })
+
+  describe('setRules', () => {
+    it('should infer the stage of rules', () => {
+      faults.setRules([
+        { from: '*@bounce.test', action: 'reject' },
+        { to: 'busy@*', action: 'tempfail' },
+        { size: 100, action: 'disconnect' }
+      ])
+      expect(faults.getRules().map((rule) => rule.stage)).toEqual(['mail', 'rcpt', 'data'])
+    })
+
+    it('should apply default codes', () => {
+      faults.setRules([{ to: '*', action: 'reject' }, { to: '*', action: 'greylist' }])
+      expect(faults.getRules()[0].code).toBe(550)
+      expect(faults.getRules()[1].code).toBe(451)
+    })
+
+    it('should reject invalid rules', () => {
+      expect(() => faults.setRules([{ to: '*', action: 'explode' }])).toThrow(/Invalid fault rule action/)
+      expect(() => faults.setRules([{ to: '*', action: 'reject', code: 451 }])).toThrow(/Invalid fault rule code/)
+      expect(() => faults.setRules([{ to: '*', stage: 'mail', action: 'reject' }])).toThrow()
+      expect(() => faults.setRules({})).toThrow(/must be an array/)
+    })
+  })
+
+  describe('evaluate', () => {
+    it('should use the first matching rule', () => {
+      faults.setRules([
+        { to: 'johnny@*', action: 'tempfail', code: 452 },
+        { to: '*', action: 'reject' }
+      ])
+      const transaction = { remoteAddress: '127.0.0.1', from: 'bodhi@surf.test', to: ['johnny@fbi.gov'] }
+      expect(faults.evaluate('rcpt', transaction).error.responseCode).toBe(452)
+      expect(faults.evaluate('rcpt', Object.assign({}, transaction, { to: ['angelo@fbi.gov'] })).error.responseCode).toBe(550)
+      expect(faults.evaluate('mail', transaction)).toBe(null)
+    })
+
+    it('should greylist the first attempt only', () => {
+      faults.setRules([{ to: '*', action: 'greylist' }])
+      const transaction = { remoteAddress: '127.0.0.1', from: 'bodhi@surf.test', to: ['johnny@fbi.gov'] }
+      expect(faults.evaluate('rcpt', transaction).error.responseCode).toBe(451)
+      expect(faults.evaluate('rcpt', transaction).error).toBe(null)
+    })
+
+    it('should apply the longest delay of recipient outcomes', (done) => {
+      faults.setRules([{ to: 'slow@*', stage: 'data', delay: 50 }, { to: 'full@*', stage: 'data', action: 'tempfail' }])
+      const outcomes = ['slow@fbi.gov', 'full@fbi.gov', 'johnny@fbi.gov'].map((to) => {
+        return faults.evaluate('data', { from: 'bodhi@surf.test', to: [to], size: 10 })
+      })
+      const start = Date.now()
+      faults.applyEach(outcomes, (errors) => {
+        expect(Date.now() - start).toBeGreaterThanOrEqual(45)
+        expect(errors.map((err) => err && err.responseCode)).toEqual([null, 451, null])
+        done()
+      })
+    })
+
+    it('should match sizes', () => {
+      faults.setRules([{ size: 1000, action: 'reject', code: 552 }])
+      expect(faults.evaluate('data', { from: '', to: [], size: 999 })).toBe(null)
+      expect(faults.evaluate('data', { from: '', to: [], size: 1000 }).error.responseCode).toBe(552)
+    })
+  })
+
+  describe('smtp', () => {
+    let maildev
+    let transporter
+
+    before((done) => {
+      maildev = new MailDev({ silent: true, disableWeb: true, smtp: port })
+      transporter = nodemailer.createTransport({ host: '127.0.0.1', port: port, ignoreTLS: true })
+      maildev.listen(done)
+    })
+
+    after((done) => {
+      transporter.close()
+      maildev.close(() => {
+        maildev.removeAllListeners()
+        done()
+      })
+    })
+
+    it('should reject recipients with the configured code', async () => {
+      faults.setRules([{ to: 'busy@*', action: 'tempfail', code: 452, message: 'Mailbox full' }])
+      const err = await transporter.sendMail({ from: 'bodhi@surf.test', to: 'busy@fbi.gov', text: 'Hi' })
+        .catch((err) => err)
+      expect(err.responseCode).toBe(452)
+      expect(err.response).toMatch(/Mailbox full/)
+    })
+
+    it('should drop the connection during DATA', async () => {
+      faults.setRules([{ size: 1024, action: 'disconnect' }])
+      const err = await transporter.sendMail({ from: 'bodhi@surf.test', to: 'johnny@fbi.gov', text: 'x'.repeat(64 * 1024) })
+        .catch((err) => err)
+      expect(err).toBeInstanceOf(Error)
+      expect(err.responseCode).toBe(undefined)
+    })
+
+    it('should delay the reply', async () => {
+      faults.setRules([{ from: 'slow@*', delay: 300 }])
+      const start = Date.now()
+      await transporter.sendMail({ from: 'slow@surf.test', to: 'johnny@fbi.gov', text: 'Hi' })
+      expect(Date.now() - start).toBeGreaterThanOrEqual(300)
+    })
+  })
+})
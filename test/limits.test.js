@@ -0,0 +1,117 @@
+/* global describe, it, afterEach */
+'use strict'
+const expect = require('expect')
+const net = require('net')
+const nodemailer = require('nodemailer')
+const cidrHelpers = require('../lib/helpers/cidr')
+const limits = require('../lib/limits')
+const MailDev = require('../index.js')
+
+const port = 9028
+
+describe('limits', () => {
+  afterEach(() => {
+    limits.setup({})
+  })
+
+  describe('cidr helpers', () => {
+    it('should match addresses in ranges', () => {
+      const ranges = cidrHelpers.parse('10.0.0.0/8, 192.168.1.7,fd00::/8')
+      expect(cidrHelpers.contains(ranges, '10.20.30.40')).toBe(true)
+      expect(cidrHelpers.contains(ranges, '192.168.1.7')).toBe(true)
+      expect(cidrHelpers.contains(ranges, '192.168.1.8')).toBe(false)
+      expect(cidrHelpers.contains(ranges, 'fd12::1')).toBe(true)
+      expect(cidrHelpers.contains(ranges, '::1')).toBe(false)
+    })
+
+    it('should match IPv4-mapped IPv6 addresses', () => {
+      expect(cidrHelpers.contains(cidrHelpers.parse(['127.0.0.0/8']), '::ffff:127.0.0.1')).toBe(true)
+    })
+
+    it('should reject invalid ranges', () => {
+      expect(() => cidrHelpers.parse('10.0.0.0/8,localhost')).toThrow(/Invalid CIDR range: localhost/)
+    })
+  })
+
+  describe('checkConnection', () => {
+    it('should refuse denied and not allowed addresses', () => {
+      limits.setup({ allow: '10.0.0.0/8', deny: '10.0.0.1' })
+      expect(limits.checkConnection('10.0.0.2')).toBe(null)
+      expect(limits.checkConnection('10.0.0.1').responseCode).toBe(554)
+      expect(limits.checkConnection('192.168.1.1').responseCode).toBe(554)
+    })
+  })
+
+  describe('checkMessage', () => {
+    it('should limit the messages per minute of each address', () => {
+      limits.setup({ rateLimit: 2 })
+      expect(limits.checkMessage('10.0.0.1')).toBe(null)
+      expect(limits.checkMessage('10.0.0.1')).toBe(null)
+      expect(limits.checkMessage('10.0.0.1').responseCode).toBe(451)
+      expect(limits.checkMessage('10.0.0.2')).toBe(null)
+      expect(limits.checkConnection('10.0.0.1').responseCode).toBe(421)
+    })
+  })
+
+  describe('smtp', () => {
+    let maildev
+
+    function startMailDev (options) {
+      maildev = new MailDev(Object.assign({ silent: true, disableWeb: true, smtp: port }, options))
+      return new Promise((resolve) => maildev.listen(resolve))
+    }
+
+    function getStats () {
+      return new Promise((resolve) => maildev.getStats((_, stats) => resolve(Object.assign({}, stats))))
+    }
+
+    // Resolves with the first reply of the server
+    function connect () {
+      return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1')
+        socket.on('error', reject)
+        socket.once('data', (chunk) => {
+          socket.end()
+          resolve(chunk.toString())
+        })
+      })
+    }
+
+    afterEach((done) => {
+      maildev.close(() => {
+        maildev.removeAllListeners()
+        done()
+      })
+    })
+
+    it('should refuse denied clients at connect time', async () => {
+      await startMailDev({ smtpDeny: '127.0.0.0/8' })
+      const stats = await getStats()
+      expect(await connect()).toMatch(/^554 Access denied/)
+      expect((await getStats()).deniedConnections).toBe(stats.deniedConnections + 1)
+    })
+
+    it('should rate limit the messages of a client', async () => {
+      await startMailDev({ smtpRateLimit: 1 })
+      const stats = await getStats()
+      const transporter = nodemailer.createTransport({ host: '127.0.0.1', port: port, ignoreTLS: true, pool: true })
+      const message = { from: 'bodhi@surf.test', to: 'johnny.utah@fbi.gov', text: 'Hi' }
+      await transporter.sendMail(message)
+      const err = await transporter.sendMail(message).catch((err) => err)
+      transporter.close()
+      expect(err.responseCode).toBe(451)
+      expect(await connect()).toMatch(/^421 Too many messages/)
+      expect((await getStats()).rateLimited).toBe(stats.rateLimited + 2)
+    })
+
+    it('should limit the concurrent connections', async () => {
+      await startMailDev({ smtpMaxConnections: 1 })
+      const stats = await getStats()
+      const first = net.connect(port, '127.0.0.1')
+      await new Promise((resolve) => first.once('data', resolve))
+      expect(await connect()).toMatch(/^421 .*Too many connected clients/)
+      first.end()
+      expect((await getStats()).tooManyConnections).toBe(stats.tooManyConnections + 1)
+    })
+  })
+})
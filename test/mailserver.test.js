@@ -7,10 +7,20 @@
 
 const assert = require('assert')
 const SMTPConnection = require('../vendor/smtp-connection')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const got = require('got')
+const rimraf = require('rimraf')
+const forge = require('node-forge')
+const nodemailer = require('nodemailer')
+const { SMTPServer } = require('smtp-server')
 // const http = require('http')
 // const delay = require('../lib/utils').delay
 
 const MailDev = require('../index.js')
+const utils = require('../lib/utils')
 
 // const port = 9025
 
@@ -136,3 +146,1210 @@ describe('mailserver', () => {
     })
   })
 })
+
+function sendAndReceive (maildev, transportOptions) {
+  const transporter = nodemailer.createTransport(Object.assign({
+    host: '127.0.0.1',
+    tls: { rejectUnauthorized: false }
+  }, transportOptions))
+
+  return new Promise((resolve, reject) => {
+    maildev.on('new', function onNew (email) {
+      maildev.removeListener('new', onNew)
+      transporter.close()
+      resolve(email)
+    })
+    transporter.sendMail({
+      from: 'angelo.pappas@fbi.gov',
+      to: 'johnny.utah@fbi.gov',
+      subject: 'Surf report',
+      text: 'Fifty year storm.'
+    }).catch(reject)
+  })
+}
+
+// Send raw SMTP commands one at a time, resolves with the greeting and every response
+function smtpDialog (port, commands) {
+  return new Promise((resolve, reject) => {
+    const responses = []
+    const socket = net.connect(port, '127.0.0.1')
+    let buffer = ''
+    socket.on('error', reject)
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString()
+      // A response is complete when its last line has a space after the code
+      if (!/(^|\r\n)\d{3} [^\r\n]*\r\n$/.test(buffer)) return
+      responses.push(buffer)
+      buffer = ''
+      const command = commands[responses.length - 1]
+      if (command) {
+        socket.write(command + '\r\n')
+      } else {
+        socket.end('QUIT\r\n')
+        resolve(responses)
+      }
+    })
+  })
+}
+
+// Write raw bytes, resolves with whether the server closed the connection
+// within a while
+function sendRaw (port, data) {
+  return new Promise((resolve) => {
+    let closedByServer = true
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(data))
+    const timer = setTimeout(() => {
+      closedByServer = false
+      socket.destroy()
+    }, 500)
+    socket.on('error', () => {})
+    socket.resume()
+    socket.on('close', () => {
+      clearTimeout(timer)
+      resolve(closedByServer)
+    })
+  })
+}
+
+function startMailDev (options) {
+  const maildev = new MailDev(Object.assign({
+    silent: true,
+    disableWeb: true
+  }, options))
+  return new Promise((resolve) => maildev.listen(() => resolve(maildev)))
+}
+
+async function stopMailDev (maildev) {
+  await waitMailDevShutdown(maildev)
+  maildev.removeAllListeners()
+}
+
+describe('mailserver tls', () => {
+  const tlsPort = 9026
+
+  it('should upgrade with STARTTLS and record the cipher', async () => {
+    const maildev = await startMailDev({ smtp: tlsPort, smtpStarttls: true })
+    try {
+      const email = await sendAndReceive(maildev, { port: tlsPort, requireTLS: true })
+      assert.ok(/^TLS/.test(email.envelope.tls.protocol))
+      assert.ok(email.envelope.tls.cipher)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should accept implicit TLS connections', async () => {
+    const maildev = await startMailDev({ smtp: tlsPort, smtpSecure: true })
+    try {
+      const email = await sendAndReceive(maildev, { port: tlsPort, secure: true })
+      assert.ok(/^TLS/.test(email.envelope.tls.protocol))
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should survive a plain text client on an implicit TLS listener', async () => {
+    const maildev = await startMailDev({ smtp: tlsPort, smtpSecure: true })
+    try {
+      await sendRaw(tlsPort, 'EHLO surf.test\r\n')
+      const email = await sendAndReceive(maildev, { port: tlsPort, secure: true })
+      assert.ok(/^TLS/.test(email.envelope.tls.protocol))
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should survive garbage after STARTTLS', async () => {
+    const maildev = await startMailDev({ smtp: tlsPort, smtpStarttls: true })
+    try {
+      await sendRaw(tlsPort, 'EHLO surf.test\r\nSTARTTLS\r\n' + 'not a handshake\r\n'.repeat(10))
+      const email = await sendAndReceive(maildev, { port: tlsPort, requireTLS: true })
+      assert.ok(/^TLS/.test(email.envelope.tls.protocol))
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should record plain text sessions as not encrypted', async () => {
+    const maildev = await startMailDev({ smtp: tlsPort })
+    try {
+      const email = await sendAndReceive(maildev, { port: tlsPort, ignoreTLS: true })
+      assert.strictEqual(email.envelope.tls, false)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+})
+
+describe('mailserver client certificates', () => {
+  const certPort = 9026
+  const caFile = path.join(os.tmpdir(), `maildev-ca-${process.pid}.pem`)
+  let pems
+
+  // A CA and a client certificate it signs, selfsigned signs it with SHA1 which OpenSSL refuses
+  function createCertificate (commonName, issuer) {
+    const keys = forge.pki.rsa.generateKeyPair(1024)
+    const cert = forge.pki.createCertificate()
+    cert.publicKey = keys.publicKey
+    cert.serialNumber = commonName === 'billing' ? '02' : '01'
+    cert.validity.notBefore = new Date(Date.now() - 60 * 1000)
+    cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000)
+    cert.setSubject([{ name: 'commonName', value: commonName }])
+    cert.setIssuer(issuer ? issuer.cert.subject.attributes : cert.subject.attributes)
+    cert.setExtensions([{ name: 'basicConstraints', cA: !issuer }])
+    cert.sign(issuer ? issuer.keys.privateKey : keys.privateKey, forge.md.sha256.create())
+    return { keys: keys, cert: cert }
+  }
+
+  before(function () {
+    this.timeout(20000)
+    const ca = createCertificate('MailDev test CA')
+    const client = createCertificate('billing', ca)
+    const intruder = createCertificate('intruder')
+    pems = {
+      clientprivate: forge.pki.privateKeyToPem(client.keys.privateKey),
+      clientcert: forge.pki.certificateToPem(client.cert),
+      intruderprivate: forge.pki.privateKeyToPem(intruder.keys.privateKey),
+      intrudercert: forge.pki.certificateToPem(intruder.cert)
+    }
+    fs.writeFileSync(caFile, forge.pki.certificateToPem(ca.cert))
+  })
+
+  after(() => {
+    fs.unlinkSync(caFile)
+  })
+
+  it('should record the certificate of an implicit TLS session', async () => {
+    const maildev = await startMailDev({ smtp: certPort, smtpSecure: true, smtpTlsCa: caFile, smtpClientCert: 'require' })
+    try {
+      const email = await sendAndReceive(maildev, {
+        port: certPort,
+        secure: true,
+        tls: { rejectUnauthorized: false, key: pems.clientprivate, cert: pems.clientcert }
+      })
+      assert.strictEqual(email.envelope.clientCert.subject.CN, 'billing')
+      assert.strictEqual(email.envelope.clientCert.issuer.CN, 'MailDev test CA')
+      assert.ok(/^([0-9A-F]{2}:){31}[0-9A-F]{2}$/.test(email.envelope.clientCert.fingerprint))
+      assert.strictEqual(email.envelope.clientCert.authorized, true)
+      assert.strictEqual(email.envelope.user, 'billing')
+      assert.strictEqual(email.envelope.authMethod, 'EXTERNAL')
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should reject senders without a certificate when it is required', async () => {
+    const maildev = await startMailDev({ smtp: certPort, smtpSecure: true, smtpTlsCa: caFile, smtpClientCert: 'require' })
+    try {
+      const err = await sendAndReceive(maildev, { port: certPort, secure: true }).catch((err) => err)
+      assert.strictEqual(err.responseCode, 530)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should drop broken handshakes when requesting a certificate', async () => {
+    const maildev = await startMailDev({ smtp: certPort, smtpSecure: true, smtpTlsCa: caFile, smtpClientCert: 'request' })
+    try {
+      assert.strictEqual(await sendRaw(certPort, 'EHLO surf.test\r\n'), true)
+      assert.strictEqual(await sendRaw(certPort, Buffer.from([0x16, 0x03, 0x01, 0x00, 0x05, 0x01, 0x00, 0x00, 0x01, 0x00])), true)
+      const email = await sendAndReceive(maildev, {
+        port: certPort,
+        secure: true,
+        tls: { rejectUnauthorized: false, key: pems.clientprivate, cert: pems.clientcert }
+      })
+      assert.strictEqual(email.envelope.clientCert.subject.CN, 'billing')
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should request a certificate after STARTTLS', async () => {
+    const maildev = await startMailDev({
+      smtp: certPort,
+      smtpTlsCa: caFile,
+      smtpListeners: [{ port: 9028, tls: 'starttls', clientCert: 'request' }]
+    })
+    try {
+      const email = await sendAndReceive(maildev, {
+        port: 9028,
+        requireTLS: true,
+        tls: { rejectUnauthorized: false, key: pems.clientprivate, cert: pems.clientcert }
+      })
+      assert.strictEqual(email.envelope.clientCert.subject.CN, 'billing')
+      const anonymous = await sendAndReceive(maildev, { port: 9028, requireTLS: true })
+      assert.strictEqual(anonymous.envelope.clientCert, false)
+      assert.strictEqual(anonymous.envelope.user, false)
+      const intruder = await sendAndReceive(maildev, {
+        port: 9028,
+        requireTLS: true,
+        tls: { rejectUnauthorized: false, key: pems.intruderprivate, cert: pems.intrudercert }
+      })
+      assert.strictEqual(intruder.envelope.clientCert.authorized, false)
+      assert.ok(intruder.envelope.clientCert.authorizationError)
+      assert.strictEqual(intruder.envelope.user, false)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+})
+
+describe('mailserver listeners', () => {
+  const mainPort = 9026
+  const submissionPort = 9027
+  let maildev
+
+  before(async () => {
+    maildev = await startMailDev({
+      smtp: mainPort,
+      incomingUser: 'bodhi',
+      incomingPass: 'surfing',
+      smtpListeners: [
+        { port: submissionPort, host: '::1', auth: false, tls: 'starttls' }
+      ]
+    })
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+  })
+
+  it('should record the main listener', async () => {
+    const email = await sendAndReceive(maildev, {
+      port: mainPort,
+      auth: { user: 'bodhi', pass: 'surfing' }
+    })
+    assert.strictEqual(email.envelope.listener, '0.0.0.0:' + mainPort)
+  })
+
+  it('should apply per-listener settings', async () => {
+    const email = await sendAndReceive(maildev, {
+      host: '::1',
+      port: submissionPort,
+      requireTLS: true
+    })
+    assert.strictEqual(email.envelope.listener, '[::1]:' + submissionPort)
+    assert.ok(email.envelope.tls)
+  })
+
+  it('should reject invalid listener TLS modes', () => {
+    assert.throws(() => new MailDev({
+      silent: true,
+      disableWeb: true,
+      smtpListeners: [{ port: submissionPort, tls: 'sometimes' }]
+    }), /Invalid listener TLS mode/)
+  })
+})
+
+describe('mailserver listen errors', () => {
+  const mainPort = 9026
+  const busyPort = 9027
+  let blocker
+
+  // Resolves once a port can be bound again
+  function probe (port) {
+    const server = net.createServer()
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, () => server.close(resolve))
+    })
+  }
+
+  before((done) => {
+    blocker = net.createServer()
+    blocker.listen(busyPort, done)
+  })
+
+  after((done) => {
+    blocker.close(done)
+  })
+
+  it('should close the bound listeners when another one fails', async () => {
+    const maildev = new MailDev({ silent: true, disableWeb: true, smtp: mainPort, smtpListeners: [{ port: busyPort }] })
+    const err = await new Promise((resolve) => maildev.listen(resolve))
+    assert.strictEqual(err.code, 'EADDRINUSE')
+    await probe(mainPort)
+    maildev.removeAllListeners()
+  })
+
+  it('should emit the error without callback', async () => {
+    const maildev = new MailDev({ silent: true, disableWeb: true, smtp: mainPort, smtpListeners: [{ port: busyPort }] })
+    const err = await new Promise((resolve) => {
+      maildev.on('error', resolve)
+      maildev.listen()
+    })
+    assert.strictEqual(err.code, 'EADDRINUSE')
+    await probe(mainPort)
+    maildev.removeAllListeners()
+  })
+})
+
+describe('mailserver max message size', () => {
+  const sizePort = 9026
+  let maildev
+  let transporter
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: sizePort, maxMessageSize: '1KB' })
+    transporter = nodemailer.createTransport({ host: '127.0.0.1', port: sizePort, ignoreTLS: true })
+  })
+
+  after(async () => {
+    transporter.close()
+    await stopMailDev(maildev)
+  })
+
+  function getOversizedCount () {
+    return new Promise((resolve) => {
+      maildev.getStats((_, stats) => resolve(stats.oversizedMessages))
+    })
+  }
+
+  it('should advertise the limit and reject a declared size over it', async () => {
+    const count = await getOversizedCount()
+    const responses = await smtpDialog(sizePort, [
+      'EHLO surf.test',
+      'MAIL FROM:<bodhi@surf.test> SIZE=4096'
+    ])
+    assert.ok(/SIZE 1024/.test(responses[1]))
+    assert.ok(/^552 /.test(responses[2]))
+    assert.strictEqual(await getOversizedCount(), count + 1)
+  })
+
+  it('should abort DATA over the limit', async () => {
+    const count = await getOversizedCount()
+    const err = await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: 'johnny.utah@fbi.gov',
+      text: 'x'.repeat(4096)
+    }).catch((err) => err)
+    assert.strictEqual(err.responseCode, 552)
+    assert.strictEqual(await getOversizedCount(), count + 1)
+  })
+
+  it('should accept messages under the limit', async () => {
+    const info = await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: 'johnny.utah@fbi.gov',
+      text: 'Small enough'
+    })
+    assert.strictEqual(info.accepted.length, 1)
+  })
+})
+
+describe('mailserver users file', () => {
+  const usersPort = 9026
+  const usersFile = path.join(os.tmpdir(), `maildev-users-${process.pid}.json`)
+  let maildev
+
+  before(async () => {
+    fs.writeFileSync(usersFile, JSON.stringify({ billing: 's3cret', alerts: 'w4ves' }))
+    maildev = await startMailDev({ smtp: usersPort, incomingUsersFile: usersFile })
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+    fs.unlinkSync(usersFile)
+  })
+
+  it('should record the user which authenticated', async () => {
+    const email = await sendAndReceive(maildev, {
+      port: usersPort,
+      auth: { user: 'alerts', pass: 'w4ves' }
+    })
+    assert.strictEqual(email.envelope.user, 'alerts')
+    assert.strictEqual(email.envelope.authMethod, 'PLAIN')
+    assert.strictEqual(email.envelope.protocol, 'ESMTPA')
+  })
+
+  it('should reject unknown users', async () => {
+    const err = await sendAndReceive(maildev, {
+      port: usersPort,
+      auth: { user: 'alerts', pass: 's3cret' }
+    }).catch((err) => err)
+    assert.strictEqual(err.code, 'EAUTH')
+  })
+
+  it('should count the failed authentications', async () => {
+    const getFailedLogins = () => new Promise((resolve) => {
+      maildev.getStats((_, stats) => resolve(stats.failedLogins))
+    })
+    const count = await getFailedLogins()
+    await sendAndReceive(maildev, {
+      port: usersPort,
+      auth: { user: 'billing', pass: 'w4ves' }
+    }).catch(() => {})
+    assert.strictEqual(await getFailedLogins(), count + 1)
+  })
+
+  it('should keep the transcript of sessions with a failed authentication', async () => {
+    await sendAndReceive(maildev, {
+      port: usersPort,
+      auth: { user: 'alerts', pass: 's3cret' }
+    }).catch(() => {})
+    const transcripts = await new Promise((resolve) => maildev.getTranscripts((_, transcripts) => resolve(transcripts)))
+    const lines = transcripts[transcripts.length - 1].lines.map((entry) => entry.line)
+    assert.ok(lines.includes('AUTH PLAIN ***'))
+    assert.ok(lines.some((line) => /^535 /.test(line)))
+    assert.ok(!lines.some((line) => /czNjcmV0/.test(line)))
+  })
+})
+
+describe('mailserver sasl mechanisms', () => {
+  const saslPort = 9026
+  let maildev
+
+  before(async () => {
+    maildev = await startMailDev({
+      smtp: saslPort,
+      incomingUser: 'bodhi',
+      incomingPass: 'surfing',
+      incomingOauthTokens: ['ya29.bodhi']
+    })
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+  })
+
+  it('should authenticate with CRAM-MD5', async () => {
+    const email = await sendAndReceive(maildev, {
+      port: saslPort,
+      ignoreTLS: true,
+      authMethod: 'CRAM-MD5',
+      auth: { user: 'bodhi', pass: 'surfing' }
+    })
+    assert.strictEqual(email.envelope.user, 'bodhi')
+    assert.strictEqual(email.envelope.authMethod, 'CRAM-MD5')
+  })
+
+  it('should authenticate with an XOAUTH2 token', async () => {
+    const email = await sendAndReceive(maildev, {
+      port: saslPort,
+      ignoreTLS: true,
+      auth: { type: 'OAuth2', user: 'bodhi', accessToken: 'ya29.bodhi' }
+    })
+    assert.strictEqual(email.envelope.user, 'bodhi')
+    assert.strictEqual(email.envelope.authMethod, 'XOAUTH2')
+  })
+
+  it('should reject an unknown XOAUTH2 token', async () => {
+    const responses = await smtpDialog(saslPort, [
+      'EHLO surf.test',
+      'AUTH XOAUTH2 ' + Buffer.from('user=bodhi\x01auth=Bearer ya29.utah\x01\x01').toString('base64'),
+      // Acknowledges the JSON error of the 334 reply
+      'AQ=='
+    ])
+    assert.ok(/AUTH PLAIN LOGIN CRAM-MD5 XOAUTH2/.test(responses[1]))
+    assert.ok(/^334 /.test(responses[2]))
+    assert.ok(/^535 /.test(responses[3]))
+  })
+})
+
+describe('mailserver envelope', () => {
+  const envelopePort = 9026
+  let maildev
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: envelopePort })
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+  })
+
+  it('should record the ESMTP parameters and session details', async () => {
+    const received = new Promise((resolve) => {
+      maildev.on('new', function onNew (email) {
+        maildev.removeListener('new', onNew)
+        resolve(email)
+      })
+    })
+    await smtpDialog(envelopePort, [
+      'EHLO surf.test',
+      'MAIL FROM:<bodhi@surf.test> BODY=8BITMIME SMTPUTF8 RET=HDRS ENVID=wave+2B1',
+      'RCPT TO:<johnny.utah@fbi.gov> NOTIFY=SUCCESS,FAILURE ORCPT=rfc822;johnny.utah@fbi.gov',
+      'DATA',
+      'Subject: Surf report\r\n\r\nFifty year storm.\r\n.'
+    ])
+    const email = await received
+
+    assert.deepStrictEqual(email.envelope.from.args, { BODY: '8BITMIME', SMTPUTF8: true, RET: 'HDRS', ENVID: 'wave+1' })
+    assert.deepStrictEqual(email.envelope.to[0].args, { NOTIFY: 'SUCCESS,FAILURE', ORCPT: 'rfc822;johnny.utah@fbi.gov' })
+    assert.strictEqual(email.envelope.host, 'surf.test')
+    assert.strictEqual(email.envelope.greeting, 'EHLO')
+    assert.strictEqual(email.envelope.protocol, 'ESMTP')
+    assert.strictEqual(email.envelope.secure, false)
+    assert.strictEqual(email.envelope.authMethod, false)
+
+    const transcript = await new Promise((resolve) => maildev.getTranscript(email.envelope.session, (_, transcript) => resolve(transcript)))
+    assert.deepStrictEqual(transcript.emails, [email.id])
+    assert.ok(transcript.lines.some((entry) => /^<\d+ bytes of message data>$/.test(entry.line)))
+
+    const emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+    assert.strictEqual(utils.filterEmails(emails, { 'envelope.from.args.SMTPUTF8': 'true', 'envelope.secure': 'false' }).length, 1)
+    assert.strictEqual(utils.filterEmails(emails, { 'envelope.to.args.NOTIFY': 'NEVER' }).length, 0)
+  })
+})
+
+describe('mailserver lmtp', () => {
+  const lmtpPort = 9026
+  let maildev
+  let transporter
+
+  before(async () => {
+    maildev = await startMailDev({
+      smtp: lmtpPort,
+      lmtp: true,
+      faultRules: [{ to: 'full@*', stage: 'data', action: 'tempfail', code: 452, message: 'Mailbox full' }]
+    })
+    transporter = nodemailer.createTransport({ host: '127.0.0.1', port: lmtpPort, lmtp: true, ignoreTLS: true })
+  })
+
+  after(async () => {
+    transporter.close()
+    await new Promise((resolve) => maildev.setFaultRules([], resolve))
+    await stopMailDev(maildev)
+  })
+
+  it('should reply for each recipient after DATA', async () => {
+    const received = new Promise((resolve) => {
+      maildev.on('new', function onNew (email) {
+        maildev.removeListener('new', onNew)
+        resolve(email)
+      })
+    })
+    const info = await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: ['johnny.utah@fbi.gov', 'full@fbi.gov'],
+      text: 'Fifty year storm.'
+    })
+    assert.deepStrictEqual(info.accepted, ['johnny.utah@fbi.gov'])
+    assert.deepStrictEqual(info.rejected, ['full@fbi.gov'])
+
+    const email = await received
+    assert.strictEqual(email.envelope.protocol, 'LMTP')
+    assert.deepStrictEqual(email.envelope.to.map((recipient) => recipient.address), ['johnny.utah@fbi.gov'])
+    assert.deepStrictEqual(email.envelope.responses.map((response) => response.code), [250, 452])
+  })
+
+  it('should not store a message rejected for every recipient', async () => {
+    const count = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails.length)))
+    const info = await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: 'full@fbi.gov',
+      text: 'Fifty year storm.'
+    })
+    assert.deepStrictEqual(info.rejected, ['full@fbi.gov'])
+    assert.strictEqual(info.response, '452 Mailbox full')
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    const emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+    assert.strictEqual(emails.length, count)
+  })
+})
+
+describe('mailserver accept domains', () => {
+  const domainsPort = 9026
+  let maildev
+  let transporter
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: domainsPort, acceptDomains: ['fbi.gov', '*.test'] })
+    transporter = nodemailer.createTransport({ host: '127.0.0.1', port: domainsPort, ignoreTLS: true })
+  })
+
+  after(async () => {
+    transporter.close()
+    await stopMailDev(maildev)
+  })
+
+  function getBlockedAttempts () {
+    return new Promise((resolve) => maildev.getBlockedAttempts((_, attempts) => resolve(attempts.slice())))
+  }
+
+  it('should reject recipients of other domains and list them', async () => {
+    await new Promise((resolve) => maildev.clearBlockedAttempts(resolve))
+    const info = await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: ['johnny.utah@FBI.gov', 'tyler@beach.surf.test', 'customer@example.com'],
+      text: 'Fifty year storm.'
+    })
+    assert.deepStrictEqual(info.accepted, ['johnny.utah@fbi.gov', 'tyler@beach.surf.test'])
+    assert.deepStrictEqual(info.rejected, ['customer@example.com'])
+    assert.strictEqual(info.rejectedErrors[0].responseCode, 550)
+
+    const attempts = await getBlockedAttempts()
+    assert.strictEqual(attempts.length, 1)
+    assert.strictEqual(attempts[0].from, 'bodhi@surf.test')
+    assert.strictEqual(attempts[0].to, 'customer@example.com')
+  })
+})
+
+describe('mailserver proxy protocol', () => {
+  const proxyPort = 9026
+  let maildev
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: proxyPort, smtpProxyProtocol: true, smtpTrustedProxies: '127.0.0.1' })
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+  })
+
+  it('should record the client address of the PROXY header', async () => {
+    const received = new Promise((resolve) => {
+      maildev.on('new', function onNew (email) {
+        maildev.removeListener('new', onNew)
+        resolve(email)
+      })
+    })
+    const socket = net.connect(proxyPort, '127.0.0.1')
+    socket.write('PROXY TCP4 192.0.2.1 198.51.100.1 56324 25\r\n')
+    socket.on('data', (chunk) => {
+      if (/^220 /.test(chunk.toString())) {
+        socket.write('HELO surf.test\r\nMAIL FROM:<bodhi@surf.test>\r\nRCPT TO:<johnny.utah@fbi.gov>\r\nDATA\r\n')
+      }
+      if (/^354 /m.test(chunk.toString())) {
+        socket.end('Subject: Surf report\r\n\r\nFifty year storm.\r\n.\r\nQUIT\r\n')
+      }
+    })
+    const email = await received
+    assert.strictEqual(email.envelope.remoteAddress, '192.0.2.1')
+    assert.strictEqual(email.envelope.remotePort, 56324)
+  })
+})
+
+describe('mailserver data acknowledgement', () => {
+  const ackPort = 9026
+  const mailDirectory = path.join(os.tmpdir(), `maildev-ack-${process.pid}`)
+  let maildev
+  let transporter
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: ackPort, mailDirectory: mailDirectory })
+    transporter = nodemailer.createTransport({ host: '127.0.0.1', port: ackPort, ignoreTLS: true })
+  })
+
+  after(async () => {
+    transporter.close()
+    await stopMailDev(maildev)
+    rimraf.sync(mailDirectory)
+  })
+
+  it('should reply with an id of a stored email', async () => {
+    const info = await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: 'johnny.utah@fbi.gov',
+      text: 'Fifty year storm.',
+      attachments: [{ filename: 'report.txt', content: 'Big wave' }]
+    })
+    const id = info.response.match(/Message queued as (\S+)/)[1]
+    const email = await new Promise((resolve, reject) => {
+      maildev.getEmail(id, (err, email) => err ? reject(err) : resolve(email))
+    })
+    assert.strictEqual(email.text, 'Fifty year storm.')
+    const attachment = email.attachments[0]
+    assert.strictEqual(fs.readFileSync(path.join(mailDirectory, id, attachment.contentId), 'utf8'), 'Big wave')
+  })
+
+  it('should reply 451 when the email cannot be written', async () => {
+    rimraf.sync(mailDirectory)
+    try {
+      const err = await transporter.sendMail({
+        from: 'bodhi@surf.test',
+        to: 'johnny.utah@fbi.gov',
+        text: 'Fifty year storm.'
+      }).catch((err) => err)
+      assert.strictEqual(err.responseCode, 451)
+    } finally {
+      fs.mkdirSync(mailDirectory)
+    }
+  })
+})
+
+describe('mailserver chunking', () => {
+  const chunkingPort = 9026
+  let maildev
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: chunkingPort })
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+  })
+
+  // BDAT command with its chunk, smtpDialog adds the CRLF ending the chunk
+  function bdat (chunk, last) {
+    return `BDAT ${Buffer.byteLength(chunk + '\r\n')}${last ? ' LAST' : ''}\r\n${chunk}`
+  }
+
+  function nextEmail () {
+    return new Promise((resolve) => {
+      maildev.on('new', function onNew (email) {
+        maildev.removeListener('new', onNew)
+        resolve(email)
+      })
+    })
+  }
+
+  it('should advertise CHUNKING and BINARYMIME', async () => {
+    const responses = await smtpDialog(chunkingPort, ['EHLO surf.test'])
+    assert.ok(/^250-CHUNKING$/m.test(responses[1]))
+    assert.ok(/^250[- ]BINARYMIME$/m.test(responses[1]))
+  })
+
+  it('should store a message sent in BDAT chunks', async () => {
+    const received = nextEmail()
+    const responses = await smtpDialog(chunkingPort, [
+      'EHLO surf.test',
+      'MAIL FROM:<bodhi@surf.test> BODY=BINARYMIME',
+      'RCPT TO:<johnny.utah@fbi.gov>',
+      bdat('Subject: Surf report\r\n'),
+      bdat('Fifty year storm.\r\n.\r\nStill surfing.', true)
+    ])
+    assert.strictEqual(responses[4], '250 Ok: 24 octets received\r\n')
+    assert.ok(/^250 Message queued as /.test(responses[5]))
+
+    const email = await received
+    assert.strictEqual(email.subject, 'Surf report')
+    assert.strictEqual(email.text, 'Fifty year storm.\n.\nStill surfing.\n')
+    assert.strictEqual(email.envelope.transferMethod, 'BDAT')
+    assert.strictEqual(email.envelope.from.args.BODY, 'BINARYMIME')
+  })
+
+  it('should record DATA as the transfer method of other messages', async () => {
+    const email = await sendAndReceive(maildev, { port: chunkingPort, ignoreTLS: true })
+    assert.strictEqual(email.envelope.transferMethod, 'DATA')
+  })
+
+  it('should skip the chunk of a rejected BDAT', async () => {
+    const responses = await smtpDialog(chunkingPort, [
+      'EHLO surf.test',
+      bdat('Subject: Surf report'),
+      'NOOP',
+      'BDAT 10 MORE',
+      'MAIL FROM:<bodhi@surf.test> BODY=BINARYMIME',
+      'RCPT TO:<johnny.utah@fbi.gov>',
+      'DATA'
+    ])
+    assert.ok(/^503 /.test(responses[2]))
+    assert.ok(/^250 /.test(responses[3]))
+    assert.ok(/^501 /.test(responses[4]))
+    assert.strictEqual(responses[7], '503 Error: BODY=BINARYMIME requires BDAT\r\n')
+  })
+
+  it('should discard the chunks of a reset transaction', async () => {
+    const received = nextEmail()
+    await smtpDialog(chunkingPort, [
+      'EHLO surf.test',
+      'MAIL FROM:<bodhi@surf.test>',
+      'RCPT TO:<johnny.utah@fbi.gov>',
+      bdat('Subject: Wipeout\r\n'),
+      'RSET',
+      'MAIL FROM:<bodhi@surf.test>',
+      'RCPT TO:<johnny.utah@fbi.gov>',
+      bdat('Subject: Surf report\r\n\r\nFifty year storm.', true)
+    ])
+    const email = await received
+    assert.strictEqual(email.subject, 'Surf report')
+  })
+})
+
+describe('mailserver hidden chunking', () => {
+  it('should hide the extensions', async () => {
+    const hidden = await startMailDev({ smtp: 9028, hideExtensions: ['CHUNKING', 'BINARYMIME'] })
+    try {
+      const responses = await smtpDialog(9028, ['EHLO surf.test'])
+      assert.ok(!/CHUNKING|BINARYMIME/.test(responses[1]))
+    } finally {
+      await stopMailDev(hidden)
+    }
+  })
+})
+
+describe('mailserver sqlite storage', () => {
+  const storagePort = 9026
+  const mailDirectory = path.join(os.tmpdir(), `maildev-sqlite-${process.pid}`)
+
+  after(() => {
+    rimraf.sync(mailDirectory)
+  })
+
+  it('should keep the emails and their read state across restarts', async () => {
+    const options = { smtp: storagePort, mailDirectory: mailDirectory, storage: 'sqlite' }
+    let maildev = await startMailDev(options)
+    const sent = await sendAndReceive(maildev, { port: storagePort, ignoreTLS: true })
+    await new Promise((resolve, reject) => maildev.readEmail(sent.id, (err) => err ? reject(err) : resolve()))
+    await stopMailDev(maildev)
+
+    maildev = await startMailDev(options)
+    try {
+      const emails = await new Promise((resolve) => maildev.getAllEmail({ read: 'true' }, (_, emails) => resolve(emails)))
+      assert.deepStrictEqual(emails.map((email) => email.id), [sent.id])
+      assert.strictEqual(emails[0].envelope.host, sent.envelope.host)
+      assert.ok(emails[0].time instanceof Date)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+})
+
+describe('mailserver metadata', () => {
+  const metadataPort = 9026
+  const relayPort = 9028
+  const mailDirectory = path.join(os.tmpdir(), `maildev-metadata-${process.pid}`)
+  const options = {
+    smtp: metadataPort,
+    mailDirectory: mailDirectory,
+    outgoingHost: '127.0.0.1',
+    outgoingPort: relayPort
+  }
+  let relayServer
+
+  before((done) => {
+    relayServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData (stream, session, callback) {
+        stream.resume()
+        stream.on('end', () => callback())
+      }
+    })
+    relayServer.listen(relayPort, '127.0.0.1', done)
+  })
+
+  after((done) => {
+    rimraf.sync(mailDirectory)
+    relayServer.close(done)
+  })
+
+  function call (maildev, method, ...args) {
+    return new Promise((resolve, reject) => {
+      maildev[method](...args, (err, result) => err ? reject(err) : resolve(result))
+    })
+  }
+
+  async function waitForEmails (maildev, count) {
+    for (let i = 0; i < 50; i++) {
+      const emails = await call(maildev, 'getAllEmail')
+      if (emails.length >= count) return emails
+      await utils.delay(20)
+    }
+    throw new Error('Emails were not restored')
+  }
+
+  it('should restore the envelope, flags, tags and relays after a restart', async () => {
+    let maildev = await startMailDev(options)
+    const transporter = nodemailer.createTransport({ host: '127.0.0.1', port: metadataPort, ignoreTLS: true, name: 'surf.test' })
+    const received = new Promise((resolve) => maildev.on('new', resolve))
+    await transporter.sendMail({
+      from: 'angelo.pappas@fbi.gov',
+      to: 'johnny.utah@fbi.gov',
+      bcc: 'bodhi@surf.test',
+      subject: 'Surf report',
+      text: 'Fifty year storm.'
+    })
+    transporter.close()
+    const sent = await received
+    await call(maildev, 'setEmailTags', sent.id, ['signup', ' signup', 'reviewed'])
+    await call(maildev, 'relayMail', sent.id)
+    await stopMailDev(maildev)
+
+    const metadata = JSON.parse(fs.readFileSync(path.join(mailDirectory, sent.id + '.json'), 'utf8'))
+    assert.strictEqual(metadata.envelope.host, 'surf.test')
+    assert.strictEqual(metadata.receivedAt, sent.receivedAt.toISOString())
+
+    maildev = await startMailDev(options)
+    try {
+      const emails = await waitForEmails(maildev, 1)
+      const email = emails[0]
+      assert.strictEqual(email.id, sent.id)
+      assert.strictEqual(email.read, false)
+      assert.strictEqual(email.time.toISOString(), sent.time.toISOString())
+      assert.strictEqual(email.receivedAt.toISOString(), sent.receivedAt.toISOString())
+      assert.deepStrictEqual(email.tags, ['signup', 'reviewed'])
+      assert.deepStrictEqual(email.envelope, JSON.parse(JSON.stringify(sent.envelope)))
+      assert.deepStrictEqual(email.calculatedBcc, [{ address: 'bodhi@surf.test', name: '' }])
+      assert.strictEqual(email.relays.length, 1)
+      assert.deepStrictEqual(email.relays[0].to, ['johnny.utah@fbi.gov', 'bodhi@surf.test'])
+      assert.strictEqual(email.relays[0].error, false)
+
+      await call(maildev, 'readEmail', sent.id)
+      const updated = JSON.parse(fs.readFileSync(path.join(mailDirectory, sent.id + '.json'), 'utf8'))
+      assert.strictEqual(updated.read, true)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should reject invalid tags', async () => {
+    const maildev = await startMailDev(options)
+    try {
+      const emails = await waitForEmails(maildev, 1)
+      await assert.rejects(call(maildev, 'setEmailTags', emails[0].id, 'signup'), /Tags must be an array/)
+      await assert.rejects(call(maildev, 'setEmailTags', 'wipeout', ['signup']), /Email was not found/)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+})
+
+describe('mailserver maildir layout', () => {
+  const maildirPort = 9026
+  const mailDirectory = path.join(os.tmpdir(), `maildev-maildir-${process.pid}`)
+  const raw = (subject) => `From: bodhi@surf.test\r\nTo: johnny.utah@fbi.gov\r\nSubject: ${subject}\r\n\r\nBig wave.\r\n`
+
+  before(() => {
+    for (const subdir of ['tmp', 'new', 'cur']) fs.mkdirSync(path.join(mailDirectory, subdir), { recursive: true })
+    fs.writeFileSync(path.join(mailDirectory, 'new', '1660816800.M1P1.surf'), raw('Unread'))
+    fs.writeFileSync(path.join(mailDirectory, 'cur', '1660816801.M2P1.surf:2,FS'), raw('Seen'))
+  })
+
+  after(() => {
+    rimraf.sync(mailDirectory)
+  })
+
+  it('should load a Maildir and move the emails read to cur', async () => {
+    const maildev = await startMailDev({ smtp: maildirPort, mailDirectory: mailDirectory, mailLayout: 'maildir' })
+    try {
+      let emails = []
+      for (let i = 0; i < 50 && emails.length < 2; i++) {
+        await utils.delay(20)
+        emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+      }
+      const states = {}
+      emails.forEach((email) => { states[email.subject] = email.read })
+      assert.deepStrictEqual(states, { Unread: false, Seen: true })
+
+      const sent = await sendAndReceive(maildev, { port: maildirPort, ignoreTLS: true })
+      assert.ok(fs.existsSync(path.join(mailDirectory, 'new', sent.id)))
+      assert.ok(fs.existsSync(path.join(mailDirectory, 'maildev', sent.id + '.json')))
+
+      await new Promise((resolve, reject) => maildev.readEmail(sent.id, (err) => err ? reject(err) : resolve()))
+      assert.deepStrictEqual(fs.readdirSync(path.join(mailDirectory, 'cur')).sort(), [
+        '1660816801.M2P1.surf:2,FS',
+        sent.id + ':2,S'
+      ].sort())
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+})
+
+describe('mailserver watched directory', () => {
+  const watchPort = 9026
+  const watchDirectory = path.join(os.tmpdir(), `maildev-watch-${process.pid}`)
+  const raw = (subject) => `From: bodhi@surf.test\r\nTo: johnny.utah@fbi.gov\r\nSubject: ${subject}\r\n\r\nBig wave.\r\n`
+
+  before(() => {
+    fs.mkdirSync(watchDirectory)
+    fs.writeFileSync(path.join(watchDirectory, 'before.eml'), raw('Before'))
+  })
+
+  after(() => {
+    rimraf.sync(watchDirectory)
+  })
+
+  it('should import the emails dropped in the directory', async () => {
+    const maildev = await startMailDev({ smtp: watchPort, watchDirectory: watchDirectory })
+    try {
+      const received = new Promise((resolve) => maildev.on('new', resolve))
+      fs.writeFileSync(path.join(watchDirectory, 'notes.txt'), 'Not an email')
+      fs.writeFileSync(path.join(watchDirectory, 'dropped.eml'), raw('Dropped'))
+      const email = await received
+      assert.strictEqual(email.subject, 'Dropped')
+      assert.strictEqual(email.envelope.transferMethod, 'import')
+      assert.strictEqual(email.envelope.from.address, 'bodhi@surf.test')
+
+      await utils.delay(400)
+      const emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+      assert.deepStrictEqual(emails.map((email) => email.subject), ['Dropped'])
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+
+  it('should refuse to watch the mail directory', () => {
+    assert.throws(() => new MailDev({
+      silent: true,
+      disableWeb: true,
+      mailDirectory: watchDirectory,
+      watchDirectory: watchDirectory + path.sep
+    }), /must not be the mail directory/)
+  })
+})
+
+describe('mailserver reload', () => {
+  const reloadPort = 9026
+  const mailDirectory = path.join(os.tmpdir(), `maildev-reload-${process.pid}`)
+
+  // Emails without metadata are received when their file was written
+  function writeRaw (id, date, body) {
+    const headers = `From: bodhi@surf.test\r\nTo: johnny.utah@fbi.gov\r\nSubject: ${id}\r\nDate: Mon, 1 Jan 2018 10:00:00 +0000\r\n`
+    const file = path.join(mailDirectory, id + '.eml')
+    fs.writeFileSync(file, Buffer.concat([Buffer.from(headers), body]))
+    fs.utimesSync(file, new Date(date), new Date(date))
+  }
+
+  before(() => {
+    fs.mkdirSync(path.join(mailDirectory, 'swell'), { recursive: true })
+    writeRaw('wave', 'Thu, 18 Aug 2022 10:00:00 +0000', Buffer.concat([
+      Buffer.from('Content-Type: text/plain; charset=iso-8859-1\r\nContent-Transfer-Encoding: 8bit\r\n\r\n'),
+      Buffer.from('Caf\xe9 at the point break.\r\n', 'latin1')
+    ]))
+    writeRaw('storm', 'Wed, 17 Aug 2022 10:00:00 +0000', Buffer.from('\r\nFifty year storm.\r\n'))
+    writeRaw('swell', 'Fri, 19 Aug 2022 10:00:00 +0000', Buffer.from([
+      'Content-Type: multipart/mixed; boundary="surf"',
+      '',
+      '--surf',
+      'Content-Type: text/plain',
+      '',
+      'Board attached.',
+      '--surf',
+      'Content-Type: text/plain; name="board.txt"',
+      'Content-Disposition: attachment; filename="board.txt"',
+      'Content-ID: <board@surf.test>',
+      '',
+      'Reloaded board',
+      '--surf--',
+      ''
+    ].join('\r\n')))
+    fs.writeFileSync(path.join(mailDirectory, 'swell', 'board@surf.test'), 'Saved board')
+  })
+
+  after(() => {
+    rimraf.sync(mailDirectory)
+  })
+
+  it('should stream the raw emails, sorted by received time, and report the progress', async () => {
+    const maildev = await startMailDev({ smtp: reloadPort, mailDirectory: mailDirectory })
+    try {
+      const events = []
+      maildev.on('reload', (progress) => events.push(progress))
+      const progress = await new Promise((resolve, reject) => {
+        maildev.loadMailsFromDirectory((err, progress) => err ? reject(err) : resolve(progress))
+      })
+      assert.strictEqual(progress.running, false)
+      assert.strictEqual(progress.total, 3)
+      assert.strictEqual(progress.loaded, 3)
+      assert.strictEqual(progress.failed, 0)
+      assert.strictEqual(events[0].running, true)
+      assert.deepStrictEqual(events[events.length - 1], progress)
+      assert.deepStrictEqual(maildev.getReloadProgress(), progress)
+
+      const emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+      assert.deepStrictEqual(emails.map((email) => email.subject), ['storm', 'wave', 'swell'])
+      assert.strictEqual(emails[0].receivedAt.toISOString(), '2022-08-17T10:00:00.000Z')
+      assert.strictEqual(emails[1].text, 'Café at the point break.\n')
+      assert.strictEqual(fs.readFileSync(path.join(mailDirectory, 'swell', 'board@surf.test'), 'utf8'), 'Saved board')
+
+      const again = await new Promise((resolve) => maildev.loadMailsFromDirectory((_, progress) => resolve(progress)))
+      assert.strictEqual(again.skipped, 3)
+      assert.strictEqual(again.loaded, 0)
+    } finally {
+      await stopMailDev(maildev)
+    }
+  })
+})
+
+describe('mailserver summaries', () => {
+  const summaryPort = 9026
+  const webPort = 9083
+  const mailDirectory = path.join(os.tmpdir(), `maildev-summaries-${process.pid}`)
+  let maildev
+  let sent
+
+  before(async () => {
+    maildev = await startMailDev({ smtp: summaryPort, web: webPort, disableWeb: false, ip: '127.0.0.1', mailDirectory: mailDirectory })
+    const transporter = nodemailer.createTransport({ host: '127.0.0.1', port: summaryPort, ignoreTLS: true })
+    const received = new Promise((resolve) => maildev.on('new', resolve))
+    await transporter.sendMail({
+      from: 'bodhi@surf.test',
+      to: 'johnny.utah@fbi.gov',
+      subject: 'Surf report',
+      headers: { 'X-Template': 'storm' },
+      html: '<p>Fifty year <b>storm</b>.</p><script>alert(1)</script>',
+      attachments: [{ filename: 'board.txt', content: 'Big wave' }]
+    })
+    transporter.close()
+    sent = await received
+  })
+
+  after(async () => {
+    await stopMailDev(maildev)
+    rimraf.sync(mailDirectory)
+  })
+
+  it('should keep summaries in the storage and load the bodies on demand', async () => {
+    const stored = await new Promise((resolve) => maildev.storage.get(sent.id, (_, email) => resolve(email)))
+    assert.strictEqual(stored.html, undefined)
+    assert.strictEqual(stored.headers, undefined)
+    assert.strictEqual(stored.snippet, 'Fifty year storm .')
+    assert.strictEqual(stored.hasAttachments, true)
+    assert.strictEqual(stored.attachmentsSize, 8)
+
+    const email = await new Promise((resolve, reject) => maildev.getEmail(sent.id, (err, email) => err ? reject(err) : resolve(email)))
+    assert.ok(email.html.includes('<b>storm</b>'))
+    assert.ok(!email.html.includes('<script>'))
+    assert.strictEqual(email.headers['x-template'], 'storm')
+    assert.strictEqual(email.envelope.from.address, 'bodhi@surf.test')
+    assert.strictEqual(email.attachments[0].generatedFileName, 'board.txt')
+    assert.strictEqual(email.time.toISOString(), sent.time.toISOString())
+  })
+
+  it('should list summaries unless the full emails are asked for', async () => {
+    const summaries = await got(`http://127.0.0.1:${webPort}/email?headers.x-template=storm`, { json: true })
+    assert.deepStrictEqual(summaries.body.map((email) => email.id), [sent.id])
+    assert.strictEqual(summaries.body[0].html, undefined)
+    assert.strictEqual(summaries.body[0].subject, 'Surf report')
+
+    const full = await got(`http://127.0.0.1:${webPort}/email?full=true&subject=Surf%20report`, { json: true })
+    assert.strictEqual(full.body[0].headers['x-template'], 'storm')
+
+    const none = await got(`http://127.0.0.1:${webPort}/email?headers.x-template=swell`, { json: true })
+    assert.deepStrictEqual(none.body, [])
+  })
+
+  it('should page through the emails with a cursor', async () => {
+    const transporter = nodemailer.createTransport({ host: '127.0.0.1', port: summaryPort, ignoreTLS: true })
+    for (const subject of ['Swell', 'Wipeout']) {
+      const received = new Promise((resolve) => maildev.on('new', resolve))
+      await transporter.sendMail({ from: 'tyler@surf.test', to: 'johnny.utah@fbi.gov', subject: subject, text: 'Big wave' })
+      await received
+    }
+    transporter.close()
+
+    const first = await got(`http://127.0.0.1:${webPort}/email?limit=2&order=desc`, { json: true })
+    assert.strictEqual(first.headers['x-total-count'], '3')
+    assert.deepStrictEqual(first.body.map((email) => email.subject), ['Wipeout', 'Swell'])
+    assert.ok(first.body[1].id > sent.id)
+
+    const second = await got(`http://127.0.0.1:${webPort}/email?limit=2&order=desc&cursor=${first.headers['x-next-cursor']}`, { json: true })
+    assert.deepStrictEqual(second.body.map((email) => email.subject), ['Surf report'])
+    assert.strictEqual(second.headers['x-next-cursor'], undefined)
+
+    const err = await got(`http://127.0.0.1:${webPort}/email?sort=to`, { json: true }).catch((err) => err)
+    assert.strictEqual(err.statusCode, 400)
+  })
+
+  it('should search the emails and highlight the matches', async () => {
+    const found = await got(`http://127.0.0.1:${webPort}/email?q=${encodeURIComponent('subject:"surf report" header:x-template:storm')}`, { json: true })
+    assert.deepStrictEqual(found.body.map((email) => email.id), [sent.id])
+    assert.strictEqual(found.body[0].html, undefined)
+    assert.deepStrictEqual(found.body[0].highlights, [
+      { field: 'subject', snippet: '<mark>Surf report</mark>' },
+      { field: 'header:x-template', snippet: '<mark>storm</mark>' }
+    ])
+
+    const paged = await got(`http://127.0.0.1:${webPort}/email?q=wave&limit=1&order=desc`, { json: true })
+    assert.strictEqual(paged.headers['x-total-count'], '2')
+    assert.strictEqual(paged.body[0].subject, 'Wipeout')
+
+    await new Promise((resolve, reject) => maildev.deleteEmail(sent.id, (err) => err ? reject(err) : resolve()))
+    const deleted = await got(`http://127.0.0.1:${webPort}/email?q=board`, { json: true })
+    assert.deepStrictEqual(deleted.body, [])
+  })
+})
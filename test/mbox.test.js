@@ -0,0 +1,150 @@
+/* global describe, it, before, after */
+'use strict'
+
+/**
+ * MailDev - mbox.test.js -- test the mbox import and export
+ */
+
+const assert = require('assert')
+const got = require('got')
+const mboxHelpers = require('../lib/helpers/mbox')
+const MailDev = require('../index.js')
+
+const smtpPort = 9026
+const webPort = 9083
+
+// Resolves with the messages of an mbox file
+function parse (mbox) {
+  const messages = []
+  const parser = mboxHelpers.createParser((message, done) => {
+    messages.push({ sender: message.sender, raw: message.raw.toString() })
+    setImmediate(done)
+  })
+  return new Promise((resolve, reject) => {
+    parser.on('finish', () => resolve(messages))
+    parser.on('error', reject)
+    // Split in odd places, lines arrive in several chunks
+    for (let i = 0; i < mbox.length; i += 7) parser.write(mbox.slice(i, i + 7))
+    parser.end()
+  })
+}
+
+const sample = [
+  'From bodhi@surf.test Thu Aug 18 10:00:00 2022',
+  'From: Bodhi <bodhi@surf.test>',
+  'To: Johnny Utah <johnny.utah@fbi.gov>',
+  'Cc: angelo.pappas@fbi.gov',
+  'Subject: Surf report',
+  '',
+  'Fifty year storm.',
+  '>From the point break.',
+  '',
+  'From tyler@surf.test Fri Aug 19 08:30:00 2022',
+  'From: Tyler <tyler@surf.test>',
+  'To: Johnny Utah <johnny.utah@fbi.gov>',
+  'Subject: Wipeout',
+  '',
+  'Big wave.',
+  ''
+].join('\n')
+
+describe('mbox', () => {
+  describe('helpers', () => {
+    it('should format the separator line', () => {
+      assert.strictEqual(
+        mboxHelpers.formatFromLine('bodhi@surf.test', new Date('2022-08-18T10:00:05Z')),
+        'From bodhi@surf.test Thu Aug 18 10:00:05 2022'
+      )
+      assert.strictEqual(mboxHelpers.formatFromLine(null, 'never'), 'From MAILER-DAEMON Thu Jan 01 00:00:00 1970')
+    })
+
+    it('should quote the From lines of a message', () => {
+      const message = mboxHelpers.formatMessage('bodhi@surf.test', new Date('2022-08-18T10:00:00Z'),
+        Buffer.from('Subject: Surf report\r\n\r\nFrom the point break.\r\n>From the beach.'))
+      assert.strictEqual(message.toString(), [
+        'From bodhi@surf.test Thu Aug 18 10:00:00 2022',
+        'Subject: Surf report',
+        '',
+        '>From the point break.',
+        '>>From the beach.',
+        '',
+        ''
+      ].join('\n'))
+    })
+
+    it('should split the messages of an mbox file', async () => {
+      const messages = await parse(sample)
+      assert.deepStrictEqual(messages.map((message) => message.sender), ['bodhi@surf.test', 'tyler@surf.test'])
+      assert.strictEqual(messages[0].raw, [
+        'From: Bodhi <bodhi@surf.test>',
+        'To: Johnny Utah <johnny.utah@fbi.gov>',
+        'Cc: angelo.pappas@fbi.gov',
+        'Subject: Surf report',
+        '',
+        'Fifty year storm.',
+        'From the point break.',
+        ''
+      ].join('\r\n'))
+      assert.strictEqual(messages[1].raw, 'From: Tyler <tyler@surf.test>\r\nTo: Johnny Utah <johnny.utah@fbi.gov>\r\nSubject: Wipeout\r\n\r\nBig wave.\r\n')
+    })
+
+    it('should reject a file not starting with a separator line', async () => {
+      await assert.rejects(parse('Subject: Surf report\n\nFifty year storm.\n'), /Invalid mbox file/)
+    })
+  })
+
+  describe('routes', () => {
+    let maildev
+
+    before((done) => {
+      maildev = new MailDev({ silent: true, smtp: smtpPort, web: webPort, ip: '127.0.0.1' })
+      maildev.listen(done)
+    })
+
+    after((done) => {
+      maildev.close(() => {
+        maildev.removeAllListeners()
+        done()
+      })
+    })
+
+    it('should import and export an mbox file', async () => {
+      const imported = await got.post(`http://127.0.0.1:${webPort}/email/import`, { body: sample, json: false })
+      const result = JSON.parse(imported.body)
+      assert.strictEqual(result.imported.length, 2)
+      assert.strictEqual(result.failed, 0)
+
+      const email = await new Promise((resolve, reject) => {
+        maildev.getEmail(result.imported[0], (err, email) => err ? reject(err) : resolve(email))
+      })
+      assert.strictEqual(email.subject, 'Surf report')
+      assert.strictEqual(email.text, 'Fifty year storm.\nFrom the point break.\n')
+      assert.strictEqual(email.envelope.transferMethod, 'import')
+      assert.strictEqual(email.envelope.from.address, 'bodhi@surf.test')
+      assert.deepStrictEqual(email.envelope.to.map((recipient) => recipient.address), ['johnny.utah@fbi.gov', 'angelo.pappas@fbi.gov'])
+
+      const exported = await got(`http://127.0.0.1:${webPort}/email/export.mbox?subject=Wipeout`)
+      assert.strictEqual(exported.headers['content-type'], 'application/mbox')
+      const messages = await parse(exported.body)
+      assert.strictEqual(messages.length, 1)
+      assert.strictEqual(messages[0].sender, 'tyler@surf.test')
+      assert.strictEqual(messages[0].raw, 'From: Tyler <tyler@surf.test>\r\nTo: Johnny Utah <johnny.utah@fbi.gov>\r\nSubject: Wipeout\r\n\r\nBig wave.\r\n')
+    })
+
+    it('should export the emails of a search and a page', async () => {
+      const found = await got(`http://127.0.0.1:${webPort}/email/export.mbox?q=${encodeURIComponent('"fifty year"')}`)
+      assert.deepStrictEqual((await parse(found.body)).map((message) => message.sender), ['bodhi@surf.test'])
+
+      const page = await got(`http://127.0.0.1:${webPort}/email/export.mbox?limit=1&order=desc`)
+      assert.deepStrictEqual((await parse(page.body)).map((message) => message.sender), ['tyler@surf.test'])
+
+      const err = await got(`http://127.0.0.1:${webPort}/email/export.mbox?limit=none`).catch((err) => err)
+      assert.strictEqual(err.statusCode, 400)
+    })
+
+    it('should reject an invalid mbox file', async () => {
+      const err = await got.post(`http://127.0.0.1:${webPort}/email/import`, { body: 'Subject: Surf report\n' }).catch((err) => err)
+      assert.strictEqual(err.statusCode, 400)
+    })
+  })
+})
@@ -0,0 +1,70 @@
+/* global describe, it */
+'use strict'
+const expect = require('expect')
+const paginationHelpers = require('../lib/helpers/pagination')
+
+function createEmail (id, hour, subject, size, from) {
+  return { id: id, time: new Date(`2022-08-18T${hour}:00:00Z`), subject: subject, size: size, from: [{ address: from }] }
+}
+
+const emails = [
+  createEmail('b', '10', 'Wipeout', 300, 'tyler@surf.test'),
+  createEmail('a', '12', 'big wave', 100, 'bodhi@surf.test'),
+  createEmail('c', '11', 'Storm', 200, 'angelo.pappas@fbi.gov'),
+  createEmail('d', '12', 'Swell', 100, 'johnny.utah@fbi.gov')
+]
+
+const ids = (page) => page.emails.map((email) => email.id)
+
+describe('pagination helpers', () => {
+  describe('parse', () => {
+    it('should return everything sorted by time by default', () => {
+      const options = paginationHelpers.parse({})
+      expect(options).toEqual({ limit: 0, offset: 0, cursor: null, sort: 'time', order: 'asc' })
+      const page = paginationHelpers.paginate(emails, options)
+      expect(ids(page)).toEqual(['b', 'c', 'a', 'd'])
+      expect(page.total).toBe(4)
+      expect(page.nextCursor).toBe(null)
+    })
+
+    it('should reject invalid parameters', () => {
+      expect(() => paginationHelpers.parse({ sort: 'to' })).toThrow('Invalid sort')
+      expect(() => paginationHelpers.parse({ order: 'up' })).toThrow('Invalid order')
+      expect(() => paginationHelpers.parse({ limit: '0' })).toThrow('Invalid limit')
+      expect(() => paginationHelpers.parse({ offset: '-1' })).toThrow('Invalid offset')
+      expect(() => paginationHelpers.parse({ cursor: 'wave' })).toThrow('Invalid cursor')
+      expect(() => paginationHelpers.parse({ cursor: 'x', offset: '1' })).toThrow('either a cursor or an offset')
+    })
+  })
+
+  describe('paginate', () => {
+    it('should sort by subject, size and sender', () => {
+      expect(ids(paginationHelpers.paginate(emails, paginationHelpers.parse({ sort: 'subject' })))).toEqual(['a', 'c', 'd', 'b'])
+      expect(ids(paginationHelpers.paginate(emails, paginationHelpers.parse({ sort: 'size', order: 'desc' })))).toEqual(['b', 'c', 'd', 'a'])
+      expect(ids(paginationHelpers.paginate(emails, paginationHelpers.parse({ sort: 'from' })))).toEqual(['c', 'a', 'd', 'b'])
+    })
+
+    it('should take pages with an offset', () => {
+      const page = paginationHelpers.paginate(emails, paginationHelpers.parse({ limit: '2', offset: '1' }))
+      expect(ids(page)).toEqual(['c', 'a'])
+      expect(page.total).toBe(4)
+    })
+
+    it('should keep the following pages of a cursor as emails arrive', () => {
+      const query = { limit: '2', order: 'desc' }
+      const first = paginationHelpers.paginate(emails, paginationHelpers.parse(query))
+      expect(ids(first)).toEqual(['d', 'a'])
+
+      const arrived = emails.concat([createEmail('e', '13', 'Reef', 50, 'tyler@surf.test')])
+      const second = paginationHelpers.paginate(arrived, paginationHelpers.parse(Object.assign({ cursor: first.nextCursor }, query)))
+      expect(ids(second)).toEqual(['c', 'b'])
+      expect(second.total).toBe(5)
+      expect(second.nextCursor).toBe(null)
+    })
+
+    it('should reject the cursor of another sort', () => {
+      const page = paginationHelpers.paginate(emails, paginationHelpers.parse({ limit: '1' }))
+      expect(() => paginationHelpers.parse({ cursor: page.nextCursor, sort: 'size' })).toThrow('another sort')
+    })
+  })
+})
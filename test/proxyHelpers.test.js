@@ -0,0 +1,42 @@
+/* global describe, it */
+'use strict'
+const expect = require('expect')
+const proxyHelpers = require('../lib/helpers/proxy')
+
+const V2_SIGNATURE = [0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]
+
+function v2Header (command, family, addresses) {
+  const header = Buffer.from(V2_SIGNATURE.concat([0x20 | command, family, 0, addresses.length]))
+  return Buffer.concat([header, Buffer.from(addresses)])
+}
+
+describe('proxy helpers', () => {
+  describe('parseHeader', () => {
+    it('should parse v1 headers', () => {
+      const header = proxyHelpers.parseHeader(Buffer.from('PROXY TCP4 192.0.2.1 198.51.100.1 56324 25\r\nEHLO'))
+      expect(header).toEqual({ length: 44, remoteAddress: '192.0.2.1', remotePort: 56324 })
+      expect(proxyHelpers.parseHeader(Buffer.from('PROXY UNKNOWN\r\n')).remoteAddress).toBe(null)
+    })
+
+    it('should wait for a complete header', () => {
+      expect(proxyHelpers.parseHeader(Buffer.from('PROXY TCP4 192.0.2.1'))).toBe(null)
+      expect(proxyHelpers.parseHeader(Buffer.from(V2_SIGNATURE.slice(0, 5)))).toBe(null)
+    })
+
+    it('should parse v2 headers', () => {
+      const tcp4 = v2Header(1, 0x11, [192, 0, 2, 1, 198, 51, 100, 1, 0xdc, 0x04, 0, 25])
+      expect(proxyHelpers.parseHeader(tcp4)).toEqual({ length: 28, remoteAddress: '192.0.2.1', remotePort: 56324 })
+
+      const source = [0x20, 0x01, 0x0d, 0xb8].concat(new Array(11).fill(0), [1])
+      const tcp6 = v2Header(1, 0x21, source.concat(new Array(16).fill(0), [0xdc, 0x04, 0, 25]))
+      expect(proxyHelpers.parseHeader(tcp6).remoteAddress).toBe('2001:db8::1')
+
+      expect(proxyHelpers.parseHeader(v2Header(0, 0x00, [])).remoteAddress).toBe(null)
+    })
+
+    it('should reject invalid headers', () => {
+      expect(() => proxyHelpers.parseHeader(Buffer.from('EHLO surf.test\r\n'))).toThrow(/Invalid PROXY/)
+      expect(() => proxyHelpers.parseHeader(Buffer.from('PROXY TCP4 surf.test 198.51.100.1 56324 25\r\n'))).toThrow(/Invalid PROXY/)
+    })
+  })
+})
@@ -0,0 +1,104 @@
+/* global describe, it, afterEach */
+'use strict'
+const expect = require('expect')
+const nodemailer = require('nodemailer')
+const retention = require('../lib/retention')
+const MailDev = require('../index.js')
+
+const port = 9028
+const day = 24 * 60 * 60 * 1000
+const now = Date.parse('2022-08-18T10:00:00Z')
+
+function createEmail (id, daysAgo, options) {
+  return Object.assign({ id: id, time: new Date(now - daysAgo * day), size: 1000, attachmentsSize: 0, tags: [] }, options)
+}
+
+describe('retention', () => {
+  afterEach(() => {
+    retention.setup({})
+  })
+
+  describe('selectEvictions', () => {
+    const emails = [
+      createEmail('wave', 3),
+      createEmail('storm', 9, { tags: ['starred'] }),
+      createEmail('reef', 1, { attachmentsSize: 4000 }),
+      createEmail('swell', 8)
+    ]
+
+    it('should keep everything without limits', () => {
+      expect(retention.isEnabled()).toBe(false)
+      expect(retention.selectEvictions(emails, now)).toEqual([])
+    })
+
+    it('should evict the oldest emails past the maximum count', () => {
+      retention.setup({ maxEmails: 2 })
+      expect(retention.selectEvictions(emails, now)).toEqual(['storm', 'swell'])
+    })
+
+    it('should evict the emails past the maximum age', () => {
+      retention.setup({ maxAge: '7d' })
+      expect(retention.getPolicy().maxAge).toBe(7 * day)
+      expect(retention.selectEvictions(emails, now)).toEqual(['storm', 'swell'])
+    })
+
+    it('should evict the oldest emails past the maximum disk usage', () => {
+      retention.setup({ maxStorage: '7000' })
+      expect(retention.selectEvictions(emails, now)).toEqual(['storm'])
+      retention.setup({ maxStorage: 5000 })
+      expect(retention.selectEvictions(emails, now)).toEqual(['storm', 'swell', 'wave'])
+    })
+
+    it('should age the emails from their receipt', () => {
+      retention.setup({ maxAge: '7d', maxEmails: 2 })
+      const replayed = createEmail('replay', 400, { receivedAt: new Date(now - day / 2) })
+      expect(retention.selectEvictions(emails.concat([replayed]), now)).toEqual(['storm', 'swell', 'wave'])
+    })
+
+    it('should keep the starred emails when asked to', () => {
+      retention.setup({ maxEmails: 1, keepStarred: true })
+      expect(retention.selectEvictions(emails, now)).toEqual(['swell', 'wave'])
+    })
+  })
+
+  describe('smtp', () => {
+    let maildev
+
+    afterEach((done) => {
+      maildev.close(() => {
+        maildev.removeAllListeners()
+        done()
+      })
+    })
+
+    it('should delete the oldest emails as new ones arrive', async () => {
+      maildev = new MailDev({ silent: true, disableWeb: true, smtp: port, maxEmails: 2 })
+      await new Promise((resolve) => maildev.listen(resolve))
+
+      const deleted = new Promise((resolve) => maildev.on('delete', resolve))
+      const transporter = nodemailer.createTransport({ host: '127.0.0.1', port: port, ignoreTLS: true })
+      for (const subject of ['First', 'Second', 'Third']) {
+        await transporter.sendMail({ from: 'bodhi@surf.test', to: 'johnny.utah@fbi.gov', subject: subject, text: 'Hi' })
+      }
+      transporter.close()
+
+      expect(await deleted).toMatchObject({ index: 0, read: false })
+      const emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+      expect(emails.map((email) => email.subject)).toEqual(['Second', 'Third'])
+    })
+
+    it('should keep old-dated emails received recently', async () => {
+      maildev = new MailDev({ silent: true, disableWeb: true, smtp: port, maxAge: '7d' })
+      await new Promise((resolve) => maildev.listen(resolve))
+
+      const raw = 'Date: Thu, 18 Aug 2018 10:00:00 +0000\r\nFrom: bodhi@surf.test\r\nSubject: Replay\r\n\r\nHi\r\n'
+      const id = await new Promise((resolve, reject) => maildev.importEmail(raw, null, (err, id) => err ? reject(err) : resolve(id)))
+      await new Promise((resolve) => setTimeout(resolve, 100))
+
+      const emails = await new Promise((resolve) => maildev.getAllEmail((_, emails) => resolve(emails)))
+      expect(emails.map((email) => email.id)).toEqual([id])
+      expect(emails[0].time.getFullYear()).toBe(2018)
+      expect(Date.now() - emails[0].receivedAt.getTime()).toBeLessThan(60 * 1000)
+    })
+  })
+})
@@ -0,0 +1,93 @@
+/* global describe, it, beforeEach */
+'use strict'
+const expect = require('expect')
+const search = require('../lib/search')
+
+const emails = [
+  {
+    id: 'a',
+    subject: 'Surf report',
+    from: [{ name: 'Bodhi', address: 'bodhi@surf.test' }],
+    to: [{ address: 'johnny.utah@fbi.gov' }],
+    html: '<p>Fifty year <b>storm</b> at the point break.</p><style>p { color: red }</style>',
+    headers: { 'x-template': 'storm-warning' },
+    attachments: [{ generatedFileName: 'forecast.pdf' }]
+  },
+  {
+    id: 'b',
+    subject: 'Wipeout',
+    from: [{ name: 'Tyler', address: 'tyler@surf.test' }],
+    to: [{ address: 'johnny.utah@fbi.gov' }],
+    cc: [{ name: 'Ángelo Pappas', address: 'angelo.pappas@fbi.gov' }],
+    text: 'Big wave, no storm. Year of the surf <3',
+    headers: { 'x-template': 'wipeout' }
+  }
+]
+
+const query = (q) => search.query(q) && Array.from(search.query(q)).sort()
+
+describe('search', () => {
+  beforeEach(() => {
+    search.clear()
+    emails.forEach(search.add)
+  })
+
+  it('should match all the words in any field', () => {
+    expect(query('storm')).toEqual(['a', 'b'])
+    expect(query('STORM surf')).toEqual(['a', 'b'])
+    expect(query('storm wipeout')).toEqual(['b'])
+    expect(query('hurricane')).toEqual([])
+    expect(query('  ')).toEqual(null)
+  })
+
+  it('should match phrases', () => {
+    expect(query('"year storm"')).toEqual(['a'])
+    expect(query('"fifty year storm"')).toEqual(['a'])
+    expect(query('"year fifty"')).toEqual([])
+  })
+
+  it('should match the words of a field', () => {
+    expect(query('from:bodhi')).toEqual(['a'])
+    expect(query('to:angelo')).toEqual(['b'])
+    expect(query('to:angelo@fbi.gov')).toEqual([])
+    expect(query('subject:"surf report"')).toEqual(['a'])
+    expect(query('body:surf')).toEqual(['b'])
+    expect(query('body:color')).toEqual([])
+    expect(query('attachment:pdf')).toEqual(['a'])
+    expect(query('header:x-template:storm')).toEqual(['a'])
+    expect(query('header:X-Template:storm-warning')).toEqual(['a'])
+  })
+
+  it('should ignore the case and the accents', () => {
+    expect(query('angelo')).toEqual(['b'])
+    expect(query('ÁNGELO')).toEqual(['b'])
+  })
+
+  it('should forget the removed emails', () => {
+    search.remove('a')
+    expect(search.has('a')).toBe(false)
+    expect(query('storm')).toEqual(['b'])
+    expect(query('forecast')).toEqual([])
+
+    search.add(Object.assign({}, emails[1], { subject: 'Swell' }))
+    expect(query('subject:wipeout')).toEqual([])
+    expect(query('subject:swell')).toEqual(['b'])
+  })
+
+  it('should highlight the matches', () => {
+    expect(search.highlight(emails[1], 'subject:wipeout')).toEqual([
+      { field: 'subject', snippet: '<mark>Wipeout</mark>' }
+    ])
+    expect(search.highlight(emails[1], '"of the surf"')).toEqual([
+      { field: 'body', snippet: 'Big wave, no storm. Year <mark>of the surf</mark> &lt;3' }
+    ])
+    expect(search.highlight(emails[0], 'storm').map((highlight) => highlight.field)).toEqual(['body', 'header:x-template'])
+  })
+
+  it('should cut the snippets around the first match', () => {
+    const email = { id: 'c', text: 'Swell '.repeat(20) + 'storm ' + 'wave '.repeat(40) }
+    const snippet = search.highlight(email, 'storm')[0].snippet
+    expect(snippet).toMatch(/^…(Swell |ell ).*<mark>storm<\/mark> wave.*…$/)
+    expect(snippet.length).toBeLessThan(180)
+  })
+})
@@ -1,6 +1,10 @@
 /* global describe, it */
 'use strict'
+const crypto = require('crypto')
 const expect = require('expect')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const smptHelpers = require('../lib/helpers/smtp')
 
 describe('smtpHelpers', () => {
@@ -25,5 +29,146 @@ describe('smtpHelpers', () => {
         })
       })
     })
+
+    it('onAuth function should reject a username without password', (done) => {
+      const users = new Map([['billing', 's3cret']])
+      const onAuth = smptHelpers.createOnAuthCallback('username', 'password', users)
+      onAuth({ method: 'PLAIN', username: 'alice', password: '' }, {}, (err, response) => {
+        expect(err instanceof Error).toBe(true)
+        expect(response).toBe(undefined)
+        onAuth({ method: 'LOGIN', username: 'billing' }, {}, (err) => {
+          expect(err instanceof Error).toBe(true)
+          done()
+        })
+      })
+    })
+
+    it('onAuth function should reject a password without username', (done) => {
+      const onAuth = smptHelpers.createOnAuthCallback('username', 'password')
+      onAuth({ method: 'PLAIN', username: '', password: 'whatever' }, {}, (err, response) => {
+        expect(err instanceof Error).toBe(true)
+        expect(response).toBe(undefined)
+        onAuth({ method: 'PLAIN', username: '', password: '' }, {}, (err) => {
+          expect(err instanceof Error).toBe(true)
+          done()
+        })
+      })
+    })
+
+    it('onAuth function should accept any account of the users Map', (done) => {
+      const users = new Map([['billing', 's3cret'], ['alerts', '{SHA}Esp0hbu+XbgEaahl91KfN/z7XBA=']])
+      const onAuth = smptHelpers.createOnAuthCallback('username', 'password', users)
+      onAuth({ username: 'alerts', password: 'surfing' }, {}, (err, response) => {
+        expect(err).toBe(null)
+        expect(response.user).toBe('alerts')
+        onAuth({ username: 'billing', password: 'surfing' }, {}, (err) => {
+          expect(err instanceof Error).toBe(true)
+          done()
+        })
+      })
+    })
+  })
+
+  describe('createOnAuthCallback mechanisms', () => {
+    const cramMd5 = (username, password) => {
+      return {
+        method: 'CRAM-MD5',
+        username: username,
+        validatePassword: (candidate) => candidate === password
+      }
+    }
+
+    it('should accept CRAM-MD5 with plain text passwords only', (done) => {
+      const users = new Map([['billing', 's3cret'], ['alerts', '{SHA}Esp0hbu+XbgEaahl91KfN/z7XBA=']])
+      const onAuth = smptHelpers.createOnAuthCallback('username', 'password', users)
+      const session = {}
+      onAuth(cramMd5('billing', 's3cret'), session, (err, response) => {
+        expect(err).toBe(null)
+        expect(response.user).toBe('billing')
+        expect(session.authMethod).toBe('CRAM-MD5')
+        onAuth(cramMd5('alerts', 'surfing'), {}, (err) => {
+          expect(err instanceof Error).toBe(true)
+          done()
+        })
+      })
+    })
+
+    it('should accept XOAUTH2 with a static token', (done) => {
+      const onAuth = smptHelpers.createOnAuthCallback(null, null, null, { tokens: ['ya29.billing'] })
+      const session = {}
+      onAuth({ method: 'XOAUTH2', username: 'billing', accessToken: 'ya29.billing' }, session, (err, response) => {
+        expect(err).toBe(null)
+        expect(response.user).toBe('billing')
+        expect(session.authMethod).toBe('XOAUTH2')
+        onAuth({ method: 'XOAUTH2', username: 'billing', accessToken: 'ya29.alerts' }, {}, (err, response) => {
+          expect(err).toBe(null)
+          expect(response.user).toBe(undefined)
+          expect(response.data.status).toBe('401')
+          done()
+        })
+      })
+    })
+  })
+
+  describe('verifyJwt', () => {
+    const encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64')
+      .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+    const sign = (alg, claims, privateKey, options) => {
+      const data = encode({ alg: alg, typ: 'JWT' }) + '.' + encode(claims)
+      const signature = crypto.sign('sha256', Buffer.from(data), Object.assign({ key: privateKey }, options))
+      return data + '.' + signature.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+    }
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+
+    it('should verify RS256 and ES256 tokens', () => {
+      const rsToken = sign('RS256', { sub: 'billing' }, rsa.privateKey)
+      expect(smptHelpers.verifyJwt(rsToken, rsa.publicKey)).toEqual({ sub: 'billing' })
+      const esToken = sign('ES256', { sub: 'alerts' }, ec.privateKey, { dsaEncoding: 'ieee-p1363' })
+      expect(smptHelpers.verifyJwt(esToken, ec.publicKey)).toEqual({ sub: 'alerts' })
+      expect(smptHelpers.verifyAccessToken({ publicKey: ec.publicKey }, esToken)).toBe(true)
+    })
+
+    it('should reject other keys, algorithms and expired tokens', () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+      expect(smptHelpers.verifyJwt(sign('RS256', {}, other.privateKey), rsa.publicKey)).toBe(null)
+      expect(smptHelpers.verifyJwt(encode({ alg: 'none' }) + '.' + encode({}) + '.', rsa.publicKey)).toBe(null)
+      const expired = sign('RS256', { exp: Math.floor(Date.now() / 1000) - 60 }, rsa.privateKey)
+      expect(smptHelpers.verifyJwt(expired, rsa.publicKey)).toBe(null)
+      expect(smptHelpers.verifyJwt('ya29.billing', rsa.publicKey)).toBe(null)
+    })
+  })
+
+  describe('readUsersFile', () => {
+    const writeTmp = (name, content) => {
+      const file = path.join(os.tmpdir(), `maildev-users-${process.pid}-${name}`)
+      fs.writeFileSync(file, content)
+      return file
+    }
+
+    it('should read htpasswd files', () => {
+      const file = writeTmp('htpasswd', '# services\nbilling:s3cret\nalerts:$apr1$r31....$sSF.od.LhUa0HKIKPZBoh1\n')
+      const users = smptHelpers.readUsersFile(file)
+      expect(Array.from(users.keys())).toEqual(['billing', 'alerts'])
+      expect(users.get('billing')).toBe('s3cret')
+    })
+
+    it('should read JSON objects and arrays', () => {
+      const objectFile = writeTmp('object.json', JSON.stringify({ billing: 's3cret' }))
+      expect(smptHelpers.readUsersFile(objectFile).get('billing')).toBe('s3cret')
+      const arrayFile = writeTmp('array.json', JSON.stringify([{ user: 'billing', pass: 's3cret' }]))
+      expect(smptHelpers.readUsersFile(arrayFile).get('billing')).toBe('s3cret')
+    })
+  })
+
+  describe('verifyPassword', () => {
+    it('should verify htpasswd hashes', () => {
+      expect(smptHelpers.verifyPassword('$apr1$r31....$sSF.od.LhUa0HKIKPZBoh1', 'surfing')).toBe(true)
+      expect(smptHelpers.verifyPassword('$apr1$r31....$sSF.od.LhUa0HKIKPZBoh1', 'sinking')).toBe(false)
+      expect(smptHelpers.verifyPassword('{SHA}Esp0hbu+XbgEaahl91KfN/z7XBA=', 'surfing')).toBe(true)
+      expect(smptHelpers.verifyPassword('$2y$04$BU7bfrTh9TLthpEZQiGpQeJDVQEFzhPHasFGy.kYXL5wMgrH8L86O', 'surfing')).toBe(true)
+      expect(smptHelpers.verifyPassword('surfing', 'surfing')).toBe(true)
+      expect(smptHelpers.verifyPassword(undefined, 'surfing')).toBe(false)
+    })
   })
 })
@@ -0,0 +1,225 @@
+/* global describe, it, beforeEach, afterEach */
+'use strict'
+
+/**
+ * MailDev - storage.test.js -- test the storage backends
+ */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const rimraf = require('rimraf')
+const { Readable } = require('stream')
+
+const createStorage = require('../lib/storage')
+
+function call (storage, method, ...args) {
+  return new Promise((resolve, reject) => {
+    storage[method](...args, (err, result) => err ? reject(err) : resolve(result))
+  })
+}
+
+function createEmail (id, subject, to) {
+  return {
+    id: id,
+    subject: subject,
+    time: new Date('2022-08-18T10:00:00Z'),
+    read: false,
+    to: [{ address: to, name: '' }],
+    envelope: { transferMethod: 'DATA' }
+  }
+}
+
+function saveRaw (storage, id, content) {
+  return new Promise((resolve, reject) => {
+    const output = storage.createRawStream(id)
+    output.on('finish', resolve)
+    output.on('error', reject)
+    output.end(content)
+  })
+}
+
+function readAll (stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(chunk))
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    stream.on('error', reject)
+  })
+}
+
+createStorage.types.forEach((type) => {
+  describe('storage ' + type, () => {
+    const dir = path.join(os.tmpdir(), `maildev-storage-${type}-${process.pid}`)
+    let storage
+
+    beforeEach(async () => {
+      storage = createStorage(type, { dir: dir })
+      storage.init()
+      await call(storage, 'save', createEmail('wave', 'Surf report', 'johnny.utah@fbi.gov'))
+      await call(storage, 'save', createEmail('storm', 'Fifty year storm', 'bodhi@surf.test'))
+    })
+
+    afterEach(async () => {
+      await call(storage, 'close')
+      rimraf.sync(dir)
+    })
+
+    it('should get an email by id', async () => {
+      const email = await call(storage, 'get', 'wave')
+      assert.strictEqual(email.subject, 'Surf report')
+      assert.ok(email.time instanceof Date)
+      assert.strictEqual(email.time.toISOString(), '2022-08-18T10:00:00.000Z')
+      assert.strictEqual(await call(storage, 'get', 'wipeout'), null)
+    })
+
+    it('should list the emails in the order they were saved', async () => {
+      const emails = await call(storage, 'list', null)
+      assert.deepStrictEqual(emails.map((email) => email.id), ['wave', 'storm'])
+    })
+
+    it('should list the emails by received time', async () => {
+      const swell = createEmail('swell', 'Swell', 'tyler@surf.test')
+      swell.time = new Date('2022-08-19T10:00:00Z')
+      swell.receivedAt = new Date('2022-08-17T10:00:00Z')
+      await call(storage, 'save', swell)
+      const emails = await call(storage, 'list', null)
+      assert.deepStrictEqual(emails.map((email) => email.id), ['swell', 'wave', 'storm'])
+      assert.strictEqual(await call(storage, 'delete', 'storm'), 2)
+    })
+
+    it('should list the emails matching a query', async () => {
+      assert.deepStrictEqual((await call(storage, 'list', { 'to.address': 'bodhi@surf.test' })).map((email) => email.id), ['storm'])
+      assert.deepStrictEqual((await call(storage, 'list', { subject: 'Surf report', read: 'false' })).map((email) => email.id), ['wave'])
+      assert.deepStrictEqual(await call(storage, 'list', { read: true }), [])
+    })
+
+    it('should update the flags of an email', async () => {
+      const email = await call(storage, 'update', 'storm', { read: true })
+      assert.strictEqual(email.read, true)
+      assert.strictEqual((await call(storage, 'get', 'storm')).read, true)
+      assert.deepStrictEqual((await call(storage, 'list', { read: 'true' })).map((email) => email.id), ['storm'])
+      assert.strictEqual(await call(storage, 'update', 'wipeout', { read: true }), null)
+    })
+
+    it('should delete an email and its files', async () => {
+      await saveRaw(storage, 'storm', 'Subject: Fifty year storm\r\n\r\nBig wave\r\n')
+      await call(storage, 'saveAttachment', 'storm', 'report.txt', Readable.from(['Big wave']))
+
+      assert.strictEqual(await call(storage, 'delete', 'storm'), 1)
+      assert.strictEqual(await call(storage, 'delete', 'storm'), -1)
+      assert.strictEqual(await call(storage, 'get', 'storm'), null)
+      assert.ok(!fs.existsSync(storage.getRawPath('storm')))
+      assert.ok(!fs.existsSync(path.join(dir, 'storm')))
+    })
+
+    it('should read the raw email and attachments', async () => {
+      await saveRaw(storage, 'wave', 'Subject: Surf report\r\n\r\nBig wave\r\n')
+      await call(storage, 'saveAttachment', 'wave', 'report.txt', Readable.from(['Big wave']))
+
+      assert.strictEqual(storage.getRawSize('wave'), 34)
+      assert.strictEqual(await readAll(storage.getRawStream('wave')), 'Subject: Surf report\r\n\r\nBig wave\r\n')
+      assert.strictEqual(await readAll(storage.getAttachmentStream('wave', 'report.txt')), 'Big wave')
+      assert.deepStrictEqual(await call(storage, 'listIds'), ['wave'])
+    })
+
+    it('should write and read the metadata of an email', async () => {
+      const metadata = { id: 'wave', read: true, tags: ['signup'], envelope: { host: 'surf.test' } }
+      await call(storage, 'writeMetadata', 'wave', metadata)
+      assert.deepStrictEqual(await call(storage, 'readMetadata', 'wave'), metadata)
+      assert.strictEqual(await call(storage, 'readMetadata', 'storm'), null)
+
+      await call(storage, 'delete', 'wave')
+      assert.strictEqual(await call(storage, 'readMetadata', 'wave'), null)
+    })
+
+    it('should delete all emails', async () => {
+      await saveRaw(storage, 'wave', 'Subject: Surf report\r\n\r\nBig wave\r\n')
+      await call(storage, 'deleteAll')
+
+      assert.deepStrictEqual(await call(storage, 'list', null), [])
+      assert.deepStrictEqual(await call(storage, 'listIds'), [])
+    })
+  })
+})
+
+describe('storage maildir layout', () => {
+  const dir = path.join(os.tmpdir(), `maildev-storage-maildir-${process.pid}`)
+  let storage
+
+  beforeEach(() => {
+    storage = createStorage('memory', { dir: dir, layout: 'maildir' })
+    storage.init()
+  })
+
+  afterEach(() => {
+    rimraf.sync(dir)
+  })
+
+  it('should deliver the raw emails to new and flag them in cur once read', async () => {
+    await saveRaw(storage, 'wave', 'Subject: Surf report\r\n\r\nBig wave\r\n')
+    assert.ok(fs.existsSync(path.join(dir, 'new', 'wave')))
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'tmp')), [])
+    assert.deepStrictEqual(storage.getFlags('wave'), { read: false })
+
+    await call(storage, 'writeMetadata', 'wave', { id: 'wave', read: true })
+    assert.strictEqual(storage.getRawPath('wave'), path.join(dir, 'cur', 'wave:2,S'))
+    assert.ok(fs.existsSync(path.join(dir, 'maildev', 'wave.json')))
+    assert.deepStrictEqual(storage.getFlags('wave'), { read: true })
+    assert.strictEqual(await readAll(storage.getRawStream('wave')), 'Subject: Surf report\r\n\r\nBig wave\r\n')
+
+    await call(storage, 'writeMetadata', 'wave', { id: 'wave', read: false })
+    assert.strictEqual(storage.getRawPath('wave'), path.join(dir, 'cur', 'wave:2,'))
+  })
+
+  it('should list the emails of a foreign Maildir and keep their flags', async () => {
+    fs.writeFileSync(path.join(dir, 'new', '1660816800.M1P1.surf'), 'Subject: Wipeout\r\n\r\n')
+    fs.writeFileSync(path.join(dir, 'cur', '1660816801.M2P1.surf:2,FS'), 'Subject: Storm\r\n\r\n')
+    assert.deepStrictEqual(await call(storage, 'listIds'), ['1660816800.M1P1.surf', '1660816801.M2P1.surf'])
+    assert.deepStrictEqual(storage.getFlags('1660816801.M2P1.surf'), { read: true })
+
+    await call(storage, 'writeMetadata', '1660816801.M2P1.surf', { read: false })
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'cur')), ['1660816801.M2P1.surf:2,F'])
+
+    await call(storage, 'remove', '1660816801.M2P1.surf')
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'cur')), [])
+    assert.strictEqual(storage.getFlags('1660816801.M2P1.surf'), null)
+  })
+
+  it('should reject an unknown layout', () => {
+    assert.throws(() => createStorage('memory', { dir: dir, layout: 'mh' }), /Unknown mail directory layout "mh"/)
+  })
+})
+
+describe('storage sqlite persistence', () => {
+  const dir = path.join(os.tmpdir(), `maildev-storage-persistence-${process.pid}`)
+
+  afterEach(() => {
+    rimraf.sync(dir)
+  })
+
+  it('should keep the emails and their flags once reopened', async () => {
+    let storage = createStorage('sqlite', { dir: dir })
+    storage.init()
+    await call(storage, 'save', createEmail('wave', 'Surf report', 'johnny.utah@fbi.gov'))
+    await call(storage, 'update', 'wave', { read: true })
+    await call(storage, 'close')
+    assert.ok(fs.existsSync(path.join(dir, 'maildev.sqlite')))
+
+    storage = createStorage('sqlite', { dir: dir })
+    storage.init()
+    try {
+      const email = await call(storage, 'get', 'wave')
+      assert.strictEqual(email.subject, 'Surf report')
+      assert.strictEqual(email.read, true)
+      assert.deepStrictEqual(email.envelope, { transferMethod: 'DATA' })
+    } finally {
+      await call(storage, 'close')
+    }
+  })
+
+  it('should reject an unknown storage', () => {
+    assert.throws(() => createStorage('tape', { dir: dir }), /Unknown storage "tape"/)
+  })
+})
@@ -0,0 +1,73 @@
+/* global describe, it, afterEach */
+'use strict'
+const expect = require('expect')
+const { PassThrough } = require('stream')
+const transcripts = require('../lib/transcripts')
+
+describe('transcripts', () => {
+  const session = { id: 'surfing', remoteAddress: '127.0.0.1' }
+
+  afterEach(() => {
+    transcripts.clear()
+  })
+
+  it('should record commands and responses', () => {
+    transcripts.start(session, 'main')
+    transcripts.record('surfing', 'S', '220 localhost ESMTP')
+    transcripts.record('surfing', 'C', 'EHLO surf.test')
+    transcripts.end(session)
+
+    const transcript = transcripts.get('surfing')
+    expect(transcript.listener).toBe('main')
+    expect(transcript.lines.map((entry) => entry.direction + ': ' + entry.line))
+      .toEqual(['S: 220 localhost ESMTP', 'C: EHLO surf.test'])
+    expect(transcript.duration).toBeGreaterThanOrEqual(0)
+    expect(transcript.authPending).toBe(undefined)
+  })
+
+  it('should mask authentication secrets', () => {
+    transcripts.start(session, 'main')
+    transcripts.record('surfing', 'C', 'AUTH PLAIN AGJvZGhpAHdhdmVz')
+    transcripts.record('surfing', 'C', 'AUTH LOGIN')
+    transcripts.record('surfing', 'S', '334 VXNlcm5hbWU6')
+    transcripts.record('surfing', 'C', 'Ym9kaGk=')
+    transcripts.record('surfing', 'S', '334 UGFzc3dvcmQ6')
+    transcripts.record('surfing', 'C', 'd2F2ZXM=')
+    transcripts.record('surfing', 'S', '235 Authentication successful')
+    transcripts.record('surfing', 'C', 'MAIL FROM:<bodhi@surf.test>')
+
+    expect(transcripts.get('surfing').lines.map((entry) => entry.line)).toEqual([
+      'AUTH PLAIN ***',
+      'AUTH LOGIN',
+      '334 VXNlcm5hbWU6',
+      '***',
+      '334 UGFzc3dvcmQ6',
+      '***',
+      '235 Authentication successful',
+      'MAIL FROM:<bodhi@surf.test>'
+    ])
+  })
+
+  it('should record the size of the message data', () => {
+    const stream = new PassThrough()
+    transcripts.start(session, 'main')
+    transcripts.record('surfing', 'S', '354 End data with <CR><LF>.<CR><LF>')
+    transcripts.watchData('surfing', stream)
+    stream.end('Subject: Hi\r\n\r\nHi\r\n')
+
+    return new Promise((resolve) => setImmediate(resolve)).then(() => {
+      expect(transcripts.get('surfing').lines[1].line).toBe('<19 bytes of message data>')
+    })
+  })
+
+  it('should record a connection closed during DATA', () => {
+    const stream = new PassThrough()
+    transcripts.start(session, 'main')
+    transcripts.record('surfing', 'S', '354 End data with <CR><LF>.<CR><LF>')
+    transcripts.watchData('surfing', stream)
+    stream.write('Subject: Hi')
+    transcripts.end(session)
+
+    expect(transcripts.get('surfing').lines[1].line).toBe('<connection closed after 11 bytes of message data>')
+  })
+})
@@ -15,6 +15,44 @@ describe('utils', () => {
     })
   })
 
+  describe('makeSortableId', () => {
+    it('should make unique ids sorted like their creation', () => {
+      const ids = Array.from({ length: 100 }, () => utils.makeSortableId())
+      expect(ids[0]).toMatch(/^[a-z0-9]{15}$/)
+      expect(new Set(ids).size).toEqual(100)
+      expect(ids.slice().sort()).toEqual(ids)
+    })
+  })
+
+  describe('parseBytes', () => {
+    it('should parse sizes with units', () => {
+      expect(utils.parseBytes(1024)).toEqual(1024)
+      expect(utils.parseBytes('2048')).toEqual(2048)
+      expect(utils.parseBytes('512KB')).toEqual(512 * 1024)
+      expect(utils.parseBytes('25MB')).toEqual(25 * 1024 * 1024)
+      expect(utils.parseBytes('1.5 gb')).toEqual(1.5 * 1024 * 1024 * 1024)
+    })
+
+    it('should reject invalid sizes', () => {
+      expect(() => utils.parseBytes('lots')).toThrow(/Invalid size/)
+    })
+  })
+
+  describe('parseDuration', () => {
+    it('should parse durations with units', () => {
+      expect(utils.parseDuration(500)).toEqual(500)
+      expect(utils.parseDuration('250')).toEqual(250)
+      expect(utils.parseDuration('30s')).toEqual(30 * 1000)
+      expect(utils.parseDuration('12h')).toEqual(12 * 60 * 60 * 1000)
+      expect(utils.parseDuration('7d')).toEqual(7 * 24 * 60 * 60 * 1000)
+      expect(utils.parseDuration('1.5 m')).toEqual(90 * 1000)
+    })
+
+    it('should reject invalid durations', () => {
+      expect(() => utils.parseDuration('forever')).toThrow(/Invalid duration/)
+    })
+  })
+
   describe('filterEmails', () => {
     const emails = [
       { subject: 'Test', headers: { 'x-some-header': 1 } },
@@ -29,5 +67,30 @@ describe('utils', () => {
       expect(utils.filterEmails(emails, { subject: 'Test', 'headers.x-some-header': 1 }).length).toEqual(1)
       expect(utils.filterEmails(emails, { subject: 'Test', 'headers.x-some-header': 0 }).length).toEqual(0)
     })
+
+    it('should compare booleans and numbers with query strings', () => {
+      const envelopes = [
+        { envelope: { secure: false, from: { args: { SIZE: 120 } } } },
+        { envelope: { secure: true, from: { args: { SMTPUTF8: true } } } }
+      ]
+      expect(utils.filterEmails(envelopes, { 'envelope.secure': 'false' }).length).toEqual(1)
+      expect(utils.filterEmails(envelopes, { 'envelope.from.args.SMTPUTF8': 'true' }).length).toEqual(1)
+      expect(utils.filterEmails(envelopes, { 'envelope.from.args.SIZE': '120' }).length).toEqual(1)
+    })
+  })
+
+  describe('summarizeEmail', () => {
+    it('should keep the summary fields only', () => {
+      const summary = utils.summarizeEmail({ id: 'wave', subject: 'Surf report', read: false, html: '<p>Big wave</p>', headers: {} })
+      expect(summary).toEqual({ id: 'wave', subject: 'Surf report', read: false })
+    })
+  })
+
+  describe('makeSnippet', () => {
+    it('should start with the text on one line', () => {
+      expect(utils.makeSnippet('Fifty year\n\n storm.', '<p>Ignored</p>')).toEqual('Fifty year storm.')
+      expect(utils.makeSnippet(null, '<style>p { color: red }</style><p>Big&nbsp;wave</p><p>at the point</p>')).toEqual('Big wave at the point')
+      expect(utils.makeSnippet('x'.repeat(200)).length).toEqual(120)
+    })
   })
 })